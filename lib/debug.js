@@ -0,0 +1,225 @@
+// Mutation log and observer trace for a Glue instance.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Adds Glue.Debugger, which the debug option turns on.
+module.exports = function(Glue) {
+
+  // Usage:
+  // new Glue(target, { debug: true });
+  // new Glue(target, { debug: { limit } });
+  //
+  // Logs every mutation as glue.debug: its operation, path, old and new
+  // values, when and where it was made, and each observer that was notified
+  // of it, with how long it took. Only the last `limit` mutations are kept
+  // (defaults to Debugger.limit).
+  var Debugger = function(glue, options) {
+    var self = this;
+
+    this.glue = glue;
+    this.limit = (options && options.limit) || Debugger.limit;
+    this.entries = [];
+    this.nextID = 1;
+
+    glue.addRecorder(function(entry) {
+      self.record(entry);
+    });
+  };
+
+  Debugger.limit = 1000;
+
+  // Not in the public API.
+  //
+  // Operations that change several paths (move, swap) are logged under the
+  // key they were made on, with only their changes described.
+  Debugger.prototype.record = function(entry) {
+    var glue    = this.glue,
+        paths   = utils.map(entry.changes, function(change) { return pathFor(change.key); }),
+        same    = utils.union(paths).length === 1,
+        path    = same ? paths[0] : pathFor(entry.key),
+        values  = same ? valuesFor(glue, entry, path) : {},
+        logged  = {
+          id: this.nextID++,
+          operation: entry.operation,
+          path: path,
+          oldValue: values.oldValue,
+          newValue: values.newValue,
+          changes: utils.map(entry.changes, function(change, i) {
+            return describeChange(glue, change, entry.inverses[i], paths[i]);
+          }),
+          time: Date.now(),
+          site: callSite(new Error().stack),
+          observers: []
+        };
+
+    if (entry.source) logged.source = entry.source;
+    if (entry.nested) logged.nested = true;
+    if (entry.computed) logged.computed = true;
+
+    this.entries.push(logged);
+
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+  };
+
+  // Not in the public API.
+  //
+  // Adds an observer call to the latest mutation it was notified of.
+  Debugger.prototype.observed = function(listener, message, duration, error) {
+    var entry = null;
+
+    for (var i = this.entries.length - 1; i >= 0 && !entry; i--) {
+      if (this.entries[i].path === message.path && this.entries[i].operation === message.operation) {
+        entry = this.entries[i];
+      }
+    }
+
+    entry = entry || this.entries[this.entries.length - 1];
+    if (!entry) return;
+
+    var call = {
+      key: message.key,
+      callback: Glue.callbackName(listener.callback),
+      duration: duration
+    };
+
+    if (error) call.error = error;
+
+    entry.observers.push(call);
+  };
+
+  // Usage:
+  // glue.debug.log([{ path, since, operation }]);
+  //
+  // The logged mutations, oldest first. `path` keeps the ones that could
+  // have changed it: at the path, inside it, or replacing something above
+  // it. `since` (a timestamp or Date) keeps the ones made since then.
+  Debugger.prototype.log = function(query) {
+    query = query || {};
+
+    var segments = utils.isUndefined(query.path) ? null : Glue.pathSegments(query.path),
+        since    = query.since instanceof Date ? query.since.getTime() : query.since;
+
+    return utils.filter(this.entries, function(entry) {
+      if (segments && !related(segments, Glue.pathSegments(entry.path))) return false;
+      if (!utils.isUndefined(since) && entry.time < since) return false;
+      if (query.operation && entry.operation !== query.operation) return false;
+
+      return true;
+    });
+  };
+
+  // Usage:
+  // glue.debug.dump([query]);
+  //
+  // The log as text, one mutation per line with its observers under it.
+  Debugger.prototype.dump = function(query) {
+    return utils.map(this.log(query), function(entry) {
+      var lines = [
+        '#' + entry.id + ' ' + new Date(entry.time).toISOString().slice(11, 23) + ' ' +
+        entry.operation + ' ' + (entry.path || '(root)') + ': ' +
+        preview(entry.oldValue) + ' -> ' + preview(entry.newValue) +
+        (entry.source ? ' [' + entry.source + ']' : '') +
+        (entry.site ? ' at ' + entry.site : '')
+      ];
+
+      utils.each(entry.observers, function(call) {
+        lines.push('    ' + call.key + ' -> ' + call.callback + ' (' + call.duration.toFixed(2) + 'ms)' +
+          (call.error ? ' threw ' + call.error : ''));
+      });
+
+      return lines.join('\n');
+    }).join('\n');
+  };
+
+  // Usage:
+  // glue.debug.clear();
+  Debugger.prototype.clear = function() {
+    this.entries = [];
+  };
+
+  Glue.Debugger = Debugger;
+
+  function pathFor(key) {
+    return Glue.keyFor(Glue.pathSegments(key));
+  }
+};
+
+// The value at the path a mutation changed, before and after it.
+function valuesFor(glue, entry, path) {
+  var current = glue.lookup(path),
+      newValue = glue.cloneValue(current);
+
+  if (entry.changes[0].action !== 'splice') {
+    var inverse = entry.inverses[entry.inverses.length - 1];
+
+    return { oldValue: inverse.action === 'set' && inverse.property !== 'length' ? glue.cloneValue(inverse.value) : undefined, newValue: newValue };
+  }
+
+  // Taking the splices back, newest first, leaves the array as it was.
+  var old = utils.isArray(current) ? current.slice() : [];
+
+  utils.each(entry.inverses.slice().reverse(), function(inverse) {
+    old.splice.apply(old, [inverse.index, inverse.remove].concat(inverse.items));
+  });
+
+  return { oldValue: glue.cloneValue(old), newValue: newValue };
+}
+
+function describeChange(glue, change, inverse, path) {
+  if (change.action === 'splice') {
+    return {
+      action: 'splice',
+      path: path,
+      index: change.index,
+      removed: glue.cloneValue(inverse.items),
+      added: glue.cloneValue(change.items)
+    };
+  }
+
+  return {
+    action: change.action,
+    path: path,
+    oldValue: inverse.action === 'set' && inverse.property !== 'length' ? glue.cloneValue(inverse.value) : undefined,
+    newValue: change.action === 'set' ? glue.cloneValue(change.value) : undefined
+  };
+}
+
+// The first frame of a stack trace outside glue itself.
+function callSite(stack) {
+  var lines = (stack || '').split('\n').slice(1);
+
+  for (var i = 0; i < lines.length; i++) {
+    if (/:\d+:\d+\)?$/.test(lines[i]) && lines[i].indexOf(__dirname) === -1 && lines[i].indexOf('node:') === -1) {
+      return lines[i].trim().replace(/^at /, '');
+    }
+  }
+
+  return null;
+}
+
+// True when either path is inside the other.
+function related(a, b) {
+  for (var i = 0, n = Math.min(a.length, b.length); i < n; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+
+  return true;
+}
+
+function preview(value) {
+  var text;
+
+  try {
+    text = value instanceof Date ? value.toISOString() : JSON.stringify(value);
+  } catch (error) {
+    text = String(value);
+  }
+
+  if (utils.isUndefined(text)) text = String(value);
+
+  return text.length > 60 ? text.slice(0, 57) + '...' : text;
+}
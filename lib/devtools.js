@@ -0,0 +1,315 @@
+// Redux DevTools adapter.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Adds connectDevTools to Glue.
+module.exports = function(Glue) {
+
+  // Usage:
+  // glue.connectDevTools([{ [connector], [name], [maxAge] }]);
+  //
+  // Shows the instance in the Redux DevTools extension, or anything else
+  // that speaks its protocol through connector.connect(). See DevTools.
+  // Returns null when there's no connector, so the call can stay in builds
+  // that run without the extension.
+  Glue.prototype.connectDevTools = function(options) {
+    options = options || {};
+
+    var connector = options.connector ||
+      (typeof window !== 'undefined' ? window.__REDUX_DEVTOOLS_EXTENSION__ : null);
+
+    return connector ? new DevTools(this, connector, options) : null;
+  };
+
+  // Usage:
+  // new DevTools(glue, connector, options);
+  //
+  // options.name: the instance's name in the tool (defaults to 'Glue').
+  // options.maxAge: how many actions are kept (defaults to
+  //   DevTools.maxAge). Past it, the oldest are committed and dropped,
+  //   along with the states they left.
+  //
+  // Every mutation is sent as an action named after its operation and path
+  // ('push todos'), along with a copy of the state it left. Jumping to an
+  // action, skipping one, resetting, committing and rolling back in the tool
+  // write the state it asks for back into the target as ordinary changes,
+  // so observers hear about them; they stay out of the undo history.
+  var DevTools = function(glue, connector, options) {
+    var self = this;
+
+    var settings = { name: options.name || 'Glue' };
+    if (options.maxAge) settings.maxAge = options.maxAge;
+
+    this.glue = glue;
+    this.maxAge = options.maxAge || DevTools.maxAge;
+    this.connection = connector.connect(settings);
+
+    this.recorder = function(entry) {
+      if (entry.source !== 'devtools') self.send(entry);
+    };
+    glue.addRecorder(this.recorder);
+
+    this.unsubscribe = this.connection.subscribe(function(message) {
+      self.receive(message);
+    });
+
+    this.start();
+  };
+
+  // The extension's own default.
+  DevTools.maxAge = 50;
+
+  // Not in the public API.
+  //
+  // Makes the current state the one every action builds on.
+  DevTools.prototype.start = function() {
+    this.committed = this.glue.cloneValue(this.glue.lookup(''));
+    this.actions = [];
+    this.states = [this.committed];
+    this.skipped = [];
+    this.current = 0;
+    this.nextId = 1;
+
+    this.connection.init(this.committed);
+  };
+
+  // Not in the public API.
+  DevTools.prototype.send = function(entry) {
+    var glue   = this.glue,
+        path   = Glue.keyFor(Glue.pathSegments(entry.key)),
+        action = { type: entry.operation + ' ' + (path || '(root)'), operation: entry.operation, path: path },
+        state  = glue.cloneValue(glue.lookup(''));
+
+    this.actions.push({
+      id: this.nextId++,
+      action: action,
+      timestamp: Date.now(),
+      changes: utils.map(entry.changes, function(change) {
+        return describeChange(glue, change);
+      })
+    });
+    this.states.push(state);
+    this.current = this.actions.length;
+    this.trim();
+
+    this.connection.send(action, state);
+  };
+
+  // Not in the public API.
+  //
+  // Commits the actions past maxAge, oldest first, as the tool does on its
+  // side. The rest keep their ids.
+  DevTools.prototype.trim = function() {
+    var excess = this.actions.length - this.maxAge;
+
+    if (excess <= 0) return;
+
+    var dropped = utils.map(this.actions.splice(0, excess), function(action) { return action.id; });
+
+    this.states.splice(0, excess);
+    this.committed = this.states[0];
+    this.skipped = utils.difference(this.skipped, dropped);
+    this.current = Math.max(this.current - excess, 0);
+  };
+
+  // Not in the public API.
+  //
+  // Where the action with the tool's id is in actions and states: 0 is the
+  // committed state, and -1 an id that's gone.
+  DevTools.prototype.indexOf = function(id) {
+    if (id === 0) return 0;
+
+    for (var i = 0; i < this.actions.length; i++) {
+      if (this.actions[i].id === id) return i + 1;
+    }
+
+    return -1;
+  };
+
+  // Not in the public API.
+  DevTools.prototype.receive = function(message) {
+    if (!message || message.type !== 'DISPATCH' || !message.payload) return;
+
+    var payload = message.payload;
+
+    switch (payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION':
+        this.jump(payload.actionId, message.state);
+        break;
+      case 'TOGGLE_ACTION':
+        this.toggle(payload.id);
+        break;
+      case 'RESET':
+        this.restore(this.states[0]);
+        this.start();
+        break;
+      case 'COMMIT':
+        this.start();
+        break;
+      case 'ROLLBACK':
+        this.restore(parse(message.state, this.states[0]));
+        this.start();
+        break;
+    }
+  };
+
+  // Not in the public API.
+  //
+  // Kept states are used when the tool's id matches one, so values JSON
+  // can't carry (Dates, Maps) survive the trip.
+  DevTools.prototype.jump = function(id, state) {
+    var index = this.indexOf(id);
+
+    this.current = index === -1 ? this.current : index;
+    this.restore(index === -1 ? parse(state, this.glue.lookup('')) : this.states[index]);
+  };
+
+  // Not in the public API.
+  //
+  // Skips an action, or stops skipping it, by replaying the ones that are
+  // left over the committed state.
+  DevTools.prototype.toggle = function(id) {
+    if (this.indexOf(id) < 1) return;
+
+    this.skipped = utils.include(this.skipped, id) ? utils.without(this.skipped, id) : this.skipped.concat(id);
+
+    var glue  = this.glue,
+        state = glue.cloneValue(this.committed);
+
+    this.states = [this.committed];
+
+    utils.each(this.actions, function(action) {
+      if (!utils.include(this.skipped, action.id)) {
+        utils.each(action.changes, function(change) {
+          applyChange(glue, state, change);
+        });
+      }
+
+      this.states.push(glue.cloneValue(state));
+    }, this);
+
+    this.restore(this.states[this.current]);
+    this.connection.send(null, this.liftedState());
+  };
+
+  // Not in the public API.
+  //
+  // Writes state into the target: arrays are replaced, and an object
+  // target has the keys that differ set and the ones state lacks removed.
+  DevTools.prototype.restore = function(state) {
+    var glue    = this.glue,
+        target  = glue.lookup(''),
+        changes = [];
+
+    state = glue.cloneValue(state);
+
+    if (utils.isArray(target)) {
+      changes.push({ action: 'splice', key: '', index: 0, remove: target.length, items: utils.isArray(state) ? state : [] });
+    } else {
+      state = state || {};
+
+      utils.each(utils.keys(target), function(key) {
+        if (!Object.prototype.hasOwnProperty.call(state, key)) changes.push({ action: 'remove', key: key });
+      });
+
+      utils.each(utils.keys(state), function(key) {
+        if (!glue.equalValues(target[key], state[key])) changes.push({ action: 'set', key: key, value: state[key] });
+      });
+    }
+
+    glue.replay(changes, 'devtools');
+  };
+
+  // Not in the public API.
+  //
+  // The tool's own record of the session, sent after a skip changes the
+  // states that follow it.
+  DevTools.prototype.liftedState = function() {
+    var actionsById      = { 0: { type: 'PERFORM_ACTION', action: { type: '@@INIT' }, timestamp: 0 } },
+        computedStates   = [{ state: this.states[0] }],
+        stagedActionIds  = [0];
+
+    utils.each(this.actions, function(action, i) {
+      actionsById[action.id] = { type: 'PERFORM_ACTION', action: action.action, timestamp: action.timestamp };
+      computedStates.push({ state: this.states[i + 1] });
+      stagedActionIds.push(action.id);
+    }, this);
+
+    return {
+      actionsById: actionsById,
+      computedStates: computedStates,
+      committedState: this.committed,
+      currentStateIndex: this.current,
+      nextActionId: this.nextId,
+      skippedActionIds: this.skipped.slice(),
+      stagedActionIds: stagedActionIds
+    };
+  };
+
+  // Usage:
+  // devtools.disconnect();
+  //
+  // Stops sending mutations and listening to the tool.
+  DevTools.prototype.disconnect = function() {
+    this.glue.removeRecorder(this.recorder);
+
+    if (typeof this.unsubscribe === 'function') this.unsubscribe();
+    else if (this.connection.unsubscribe) this.connection.unsubscribe();
+  };
+
+  // A change as a path and copies of its values, so it can be applied to
+  // states other than the one it was made on.
+  function describeChange(glue, change) {
+    var described = { action: change.action, segments: Glue.pathSegments(change.key).slice() };
+
+    if (change.action === 'splice') {
+      described.index = change.index;
+      described.remove = change.remove;
+      described.items = glue.cloneValue(change.items);
+    } else if (change.action === 'set') {
+      described.value = glue.cloneValue(change.value);
+    }
+
+    return described;
+  }
+
+  Glue.DevTools = DevTools;
+};
+
+// Applies a described change to a plain state, in place. Changes under a
+// path that no longer exists are dropped, as they would be if the skipped
+// action that made the path had never happened.
+function applyChange(glue, state, change) {
+  var segments = change.action === 'splice' ? change.segments : change.segments.slice(0, -1),
+      object   = state;
+
+  for (var i = 0; i < segments.length; i++) {
+    if (object === null || typeof object !== 'object') return;
+    object = object[segments[i]];
+  }
+
+  if (object === null || typeof object !== 'object') return;
+
+  if (change.action === 'splice') {
+    if (utils.isArray(object)) {
+      object.splice.apply(object, [change.index, change.remove].concat(glue.cloneValue(change.items)));
+    }
+  } else if (change.action === 'set') {
+    object[change.segments[change.segments.length - 1]] = glue.cloneValue(change.value);
+  } else {
+    delete object[change.segments[change.segments.length - 1]];
+  }
+}
+
+function parse(text, fallback) {
+  if (typeof text !== 'string') return fallback;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
@@ -19,24 +19,68 @@
 // OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
 // SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 
-var utils = require('./utils');
+var utils   = require('./utils'),
+    History = require('./history'),
+    Schema  = require('./schema');
 
 // Performance optimization: Pre-compiled regexes
 var REGEX_CACHE = {
   arrayIndex: /\[(\d+)\]$/,
   genericArray: /\[\]$/,
   normalizeSpace: /\s/g,
-  digitIndex: /\d*(?=\]$)/
+  digitIndex: /\d*(?=\]$)/,
+  segmentName: /^[^\[]*/,
+  segmentIndex: /\[(\d*|:[^\]]*)\]/g,
+  operationSeparator: /(?<![.\[]):/
 };
 
-var Glue = function(target) {
+// Parsed key paths, keyed by the raw key string. Reset once it grows past
+// PATH_CACHE_LIMIT so keys built from ever-changing indices can't leak.
+var PATH_CACHE = Object.create(null),
+    PATH_CACHE_SIZE = 0,
+    PATH_CACHE_LIMIT = 10000;
+
+// Reads recorded while computed properties evaluate, innermost last.
+var TRACKING = [];
+
+// Usage:
+// new Glue(target, [options]);
+//
+// options.scheduler: 'sync' (default), 'microtask', 'animationFrame' or a
+// function that receives a flush callback and arranges for it to be called.
+// options.reentrancyLimit: how many times notifications for one key may nest
+// before glue gives up on an observer cycle (defaults to Glue.reentrancyLimit).
+// options.warnOnCycles: warn when observers cycle but settle under the limit.
+// options.history: true, or { maxDepth }, to record mutations for undo/redo.
+// options.clone(value): copies values glue snapshots; return undefined to
+// let glue copy the value itself (see Glue.deepClone).
+// options.isEqual(a, b): compares snapshots; return undefined to let glue
+// compare them itself (see utils.isEqual).
+// options.schema: a JSON-Schema-style definition every write must satisfy
+// (see lib/schema.js); writes that don't throw a GlueSchemaError.
+// options.messageValues: 'live' (default), 'readonly' to hand observers
+// read-only views of message values, or 'frozen' for frozen copies.
+// options.debug: true, or { limit }, to log mutations and the observers they
+// notified as glue.debug (see lib/debug.js).
+// options.onError(error, info): called with what an observer throws, in
+// place of Glue.onError. info has the key, path, operation, callback,
+// context and message. Rethrow to let the error escape the mutation.
+var Glue = function(target, options) {
   this.target = target;
+  this.options = options || {};
+  this._scheduler = Glue.scheduler(this.options.scheduler);
   this.resetListeners();
   this.objID = Glue.nextObjectID();
+
+  if (this.options.history) this._history = new History(this, this.options.history);
+  if (this.options.schema) this._schema = new Schema(this.options.schema, Glue.pathSegments, Glue.keyFor);
+  if (this.options.debug) this.debug = new Glue.Debugger(this, this.options.debug);
 };
 
 Glue.version = '0.6.0-alpha';
 
+Glue.reentrancyLimit = 100;
+
 Glue._objID = 0;
 
 Glue.nextObjectID = function() {
@@ -45,6 +89,39 @@ Glue.nextObjectID = function() {
 
 Glue.events = {};
 
+// Deferred schedulers receive a flush callback and decide when to call it.
+// The 'sync' scheduler is null: notifications are dispatched immediately.
+Glue.schedulers = {
+  sync: null,
+
+  microtask: function(flush) {
+    if (typeof queueMicrotask === 'function') {
+      queueMicrotask(flush);
+    } else {
+      Promise.resolve().then(flush);
+    }
+  },
+
+  animationFrame: function(flush) {
+    if (typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(flush);
+    } else {
+      setTimeout(flush, 16);
+    }
+  }
+};
+
+Glue.scheduler = function(scheduler) {
+  if (scheduler == null) return null;
+  if (typeof scheduler === 'function') return scheduler;
+
+  if (!Glue.schedulers.hasOwnProperty(scheduler)) {
+    throw new Error('Unknown scheduler: ' + scheduler);
+  }
+
+  return Glue.schedulers[scheduler];
+};
+
 Glue.prototype.addListener = function(event, callback){
   utils.defaults([], Glue.events[event]);
 
@@ -75,11 +152,15 @@ Glue.prototype.emit = function(event) {
 
 Glue.prototype.resetListeners = function() {
   this.listeners = {specific: {}, generic: {}};
+  this._reachable = null;
 };
 
-// Deep clone using JSON method for compatibility
-Glue.deepClone = function(obj) {
-  return JSON.parse(JSON.stringify(obj));
+// Type-faithful deep clone: Dates, RegExps, Maps, Sets, typed arrays and
+// class instances keep their types; undefined, functions, symbols and BigInts
+// are kept as they are, and circular references are preserved. customizer
+// works as options.clone does.
+Glue.deepClone = function(obj, customizer) {
+  return utils.cloneDeep(obj, customizer);
 };
 
 Glue.normalizeKey = function(key) {
@@ -106,10 +187,43 @@ Glue.permutateKey = function (key) {
   return keys;
 };
 
+// Splits a key into its path segments, so that 'a.list[2].name' and
+// 'a.list.2.name' both become ['a', 'list', '2', 'name'].
+// Wildcards are kept as segments of their own: '*' (any key), '**' (any
+// descendant), '[]' (any index), ':name' and '[:name]' (captured key or
+// index). The root keys '' and '*' have no segments at all.
+Glue.pathSegments = function(key) {
+  if (key in PATH_CACHE) return PATH_CACHE[key];
+
+  var segments = [];
+
+  if (key !== '*') {
+    utils.each(Glue.normalizeKey(key).split('.'), function(part) {
+      var name = part.match(REGEX_CACHE.segmentName)[0],
+          match;
+
+      if (name) segments.push(name);
+
+      REGEX_CACHE.segmentIndex.lastIndex = name.length;
+      while ((match = REGEX_CACHE.segmentIndex.exec(part))) {
+        segments.push(match[1] === '' || match[1].charAt(0) === ':' ? '[' + match[1] + ']' : match[1]);
+      }
+    });
+  }
+
+  if (++PATH_CACHE_SIZE > PATH_CACHE_LIMIT) {
+    PATH_CACHE = Object.create(null);
+    PATH_CACHE_SIZE = 1;
+  }
+
+  return PATH_CACHE[key] = segments;
+};
+
 Glue.keysAndOperations = function(ko) {
   if (arguments.length === 0) return [[], []];
 
-  var k = Glue.normalizeKey(ko).split(':'),
+  // A colon right after '.' or '[' starts a capture, not the operations.
+  var k = Glue.normalizeKey(ko).split(REGEX_CACHE.operationSeparator),
       keys = utils.isEmpty(k[0]) ? [''] : k[0].split(','),
       operations = utils.isEmpty(k[1]) ? [] : k[1].split(',');
 
@@ -117,11 +231,30 @@ Glue.keysAndOperations = function(ko) {
 };
 
 // Usage:
-// glue.addObserver([key(s):operation(s)], [context], callback)
+// glue.addObserver([key(s):operation(s)], [context], callback, [options])
+//
+// options.splices: for keys ending in an array wildcard ('items[]'), call
+// back once per array with splice records instead of once per index.
+// options.values: 'readonly' or 'frozen' to keep the observer from changing
+// what it's given (see the messageValues option).
+// options.priority: a number; observers with higher priorities are called
+// first (defaults to 0). See dispatch for the order within a priority.
 
 Glue.prototype.addObserver = function() {
-  var self = this,
-      a    = arguments;
+  var self    = this,
+      a       = utils.toArray(arguments),
+      options = {};
+
+  if (a.length > 1 && typeof a[a.length - 1] !== 'function' && typeof a[a.length - 2] === 'function') {
+    options = a.pop() || {};
+  }
+
+  if (!utils.isUndefined(options.priority) && !(typeof options.priority === 'number' && isFinite(options.priority))) {
+    // Strings are quoted, so that '5' isn't taken for a number.
+    var shown = utils.isString(options.priority) ? JSON.stringify(options.priority) : String(options.priority);
+
+    throw new Error('Invalid observer priority: ' + shown + ', expected a finite number');
+  }
 
   if (a.length === 1) {
     add('*', a[0], this.target);
@@ -137,13 +270,17 @@ Glue.prototype.addObserver = function() {
         operations = ko[1];
 
     utils.each(keys, function(key) {
-      var type = key.match(REGEX_CACHE.genericArray) ? 'generic' : 'specific';
+      var type     = listenerType(key),
+          segments = Glue.pathSegments(key),
+          listener = { callback: callback, operations: operations, context: context };
 
-      self.listeners[type][key] = self.listeners[type][key] || [];
+      if (options.splices && isArrayWildcard(segments[segments.length - 1])) listener.splices = true;
+      if (options.values) listener.values = options.values;
+      if (options.priority) listener.priority = options.priority;
 
-      self.listeners[type][key].push({
-        callback: callback, operations: operations, context: context
-      });
+      self.listeners[type][key] = self.listeners[type][key] || [];
+      self.listeners[type][key].push(listener);
+      self._reachable = null;
     });
   }
   
@@ -176,7 +313,7 @@ Glue.prototype.removeObserver = function() {
     }
 
     utils.each(keys, function(key) {
-      var type = key.match(REGEX_CACHE.genericArray) ? 'generic' : 'specific';
+      var type = listenerType(key);
       
       // Check if listeners exist for this key
       if (!self.listeners[type][key]) return;
@@ -199,370 +336,2531 @@ Glue.prototype.removeObserver = function() {
         }
       });
 
-      if (utils.isEmpty(self.listeners[type][key])) delete self.listeners[type][key];
+      if (utils.isEmpty(self.listeners[type][key])) {
+        delete self.listeners[type][key];
+        self._reachable = null;
+      }
     });
   };
 };
 
-// Not in the public API.
-Glue.prototype.notify = function(operation, key, oldTargetClone, reverse) {
-  var self               = this,
-      currentTargetClone = Glue.deepClone(this.target);
+// Usage:
+// glue.describeObservers();
+//
+// Every registered observer, specific keys first, as
+// { key, operations, context, callback, generic, writes }: callback is the
+// function's name, and writes the keys it has written to while being
+// called, learned as it runs. Observers with the priority, splices or
+// values options have them too, and those a computed property keeps up
+// have its key as `computed`.
+Glue.prototype.describeObservers = function() {
+  var described = [];
+
+  utils.each(['specific', 'generic'], function(type) {
+    utils.each(this.listeners[type], function(listeners, key) {
+      utils.each(listeners, function(listener) {
+        var description = {
+          key: key,
+          operations: listener.operations.slice(),
+          context: listener.context,
+          callback: callbackName(listener.callback),
+          generic: type === 'generic',
+          writes: (listener.writes || []).slice()
+        };
+
+        if (listener.priority) description.priority = listener.priority;
+        if (listener.splices) description.splices = true;
+        if (listener.values) description.values = listener.values;
+
+        // Computed properties write their own key, outside the callback.
+        if (listener.context instanceof Computed) {
+          description.computed = listener.context.key;
+          description.writes = utils.union(description.writes, [listener.context.key]);
+        }
 
-  utils.each(this.listeners.specific, function(listeners, k) {
-    var currentValue      = self.get(k),
-        currentValueClone = self.get(k, currentTargetClone),
-        oldValueClone     = self.get(k, oldTargetClone);
+        described.push(description);
+      });
+    });
+  }, this);
 
-      utils.each(listeners, function(listener) {
-        invoke(operation, listener, currentValue, oldValueClone, currentValueClone);
-     });
-  });
+  return described;
+};
 
-  invokeGeneric();
+// The name an observer's callback is shown under. Observers added through a
+// scope or read-only view are wrapped; they're named after the function they
+// wrap.
+Glue.callbackName = callbackName;
 
-  function invokeGeneric() {
-    var keysAndIndices = Glue.permutateKey(key);
+function callbackName(callback) {
+  if (callback.observer) return callbackName(callback.observer);
 
-    utils.each(keysAndIndices, function(keyAndIndex) {
-      utils.each(self.listeners.generic[keyAndIndex.generic], function(listener) {
-        var currentValue      = self.get(keyAndIndex.specific),
-            currentValueClone = self.get(keyAndIndex.specific, currentTargetClone),
-            oldValueClone     = self.get(keyAndIndex.specific, oldTargetClone);
+  return callback.name || '(anonymous)';
+}
 
-        invoke(operation, listener, currentValue, oldValueClone, currentValueClone, keyAndIndex.index);
-      });
-    });
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
 
-    var affectedGenericChildren = {},
-        keyMatcher       = new RegExp("^" + key.replace('[', '\\\[').replace(']', '\\\]'));
+// Keys with a wildcard anywhere in them are generic: their listeners are
+// called once for each concrete path that matches and changed.
+function listenerType(key) {
+  return utils.some(Glue.pathSegments(key), isWildcard) ? 'generic' : 'specific';
+}
 
-    utils.each(self.listeners.generic, function(listeners, k) {
-      if (k.match(keyMatcher)) affectedGenericChildren[k] = listeners;
-    });
+function isWildcard(segment) {
+  return segment === '*' || segment === '**' || segment.charAt(0) === ':' || segment.charAt(0) === '[';
+}
 
-    utils.each(affectedGenericChildren, function(listeners, k) {
-      var base              = k.replace(/\[[^\[]*\]$/, ''),
-          currentArray      = self.get(base),
-          currentArrayClone = self.get(base, currentTargetClone),
-          oldArrayClone     = self.get(base, oldTargetClone),
-          maxRange;
+function isArrayWildcard(segment) {
+  return !!segment && segment.charAt(0) === '[';
+}
 
-      if (oldArrayClone.length > currentArrayClone.length) {
-        maxRange = oldArrayClone.length;
-      } else {
-        maxRange = currentArrayClone.length;
-      }
+// Returned by an interceptor to cancel the mutation it was shown.
+Glue.CANCEL = Object.freeze({ toString: function() { return 'Glue.CANCEL'; } });
 
-      var range = reverse ? utils.range(0, maxRange).reverse() : utils.range(0, maxRange);
+// Usage:
+// glue.intercept([key(s):operation(s)], fn);
+//
+// Calls fn with { operation, path, newValue, oldValue, [params] } before
+// each write at key or inside it, from any method or the proxy. fn returns
+// a replacement for newValue, undefined to keep it, or Glue.CANCEL to call
+// off the whole operation: anything it already wrote is undone and nobody
+// is notified. Removing a value only shows newValue undefined; cancelling
+// is all fn can do about it.
+Glue.prototype.intercept = function(k, fn) {
+  var self = this;
 
-      utils.each(range, function(index) {
-        var currentValue      = currentArray[index],
-            currentValueClone = currentArrayClone[index],
-            oldValueClone     = oldArrayClone[index];
+  if (arguments.length === 1) {
+    fn = k;
+    k = '*';
+  }
 
-        utils.each(listeners, function(listener) {
-          invoke(operation, listener, currentValue, oldValueClone, currentValueClone, index);
-        });
-      });
-    });
-  };
+  var ko   = Glue.keysAndOperations(k),
+      keys = utils.isEqual(ko[0], ['']) ? ['*'] : ko[0];
 
-  function invoke(operation, listener, currentValue, oldValueClone, currentValueClone, index) {
-    if (!utils.isEqual(currentValueClone, oldValueClone)) {
-      var message = {
-        operation: operation,
-        value: currentValue
-      };
+  this._interceptors = this._interceptors || [];
 
-      if (!utils.isUndefined(index)) message.index = index;
+  utils.each(keys, function(key) {
+    self._interceptors.push({ segments: Glue.pathSegments(key), operations: ko[1], fn: fn });
+  });
 
-      if (!utils.isEmpty(listener.operations)) {
-        if (utils.include(listener.operations, operation)) callListener(listener, message);
-      } else {
-        callListener(listener, message);
-      }
-    }
-  };
+  return this;
+};
 
-  function callListener(listener, message) {
-    listener.callback.call(listener.context, message);
-  };
+// Usage:
+// glue.removeInterceptor([fn]);
+Glue.prototype.removeInterceptor = function(fn) {
+  this._interceptors = fn ? utils.reject(this._interceptors || [], function(interceptor) {
+    return interceptor.fn === fn;
+  }) : [];
+
+  return this;
 };
 
-// Not in the public API. It is more performant to access
-// values directly through glue.target. However, one should never
-// modify the values of a target object obtain directly from
-// glue.target.
+// Not in the public API.
 //
-// Usage:
-// glue.get([key], [obj]);
+// Shows a primitive change to the interceptors, one write at a time: a
+// splice is an element write for each index it replaces, removes or fills.
+// `moving` holds what the whole operation puts into each array (see
+// movingValues). Returns false when an interceptor cancelled it.
+Glue.prototype.interceptChange = function(operation, change, moving) {
+  var self = this;
 
-Glue.prototype.get = function(key, obj) {
-  if (key === '' || key === '*') return obj || this.target;
-  
-  var target = obj || this.target;
-  var normalizedKey = Glue.normalizeKey(key);
-  
-  // Handle array-only notation
-  if (utils.isArray(target) && !normalizedKey.includes('.')) {
-    var match = normalizedKey.match(/^\[(\d+)\]$/);
-    if (match) {
-      return target[parseInt(match[1])];
-    }
+  if (change.action !== 'splice') {
+    var bs       = this.baseKeyAndSuffix(change.key),
+        outcome  = run(change.key, Glue.pathSegments(change.key), change.value, bs[0] == null ? undefined : bs[0][bs[1]]);
+
+    if (outcome.cancelled) return false;
+    if (change.action === 'set') change.value = outcome.value;
+
+    return true;
   }
-  
-  // Traverse object path safely without eval
-  var segments = normalizedKey.split('.');
-  var current = target;
-  
-  for (var i = 0; i < segments.length; i++) {
-    if (current == null) return undefined;
-    
-    var segment = segments[i];
-    
-    // Handle multiple array notations like "prop[0][1]"
-    var remaining = segment;
-    while (remaining) {
-      // Check for property with array notation
-      var propArrayMatch = remaining.match(/^([^[]+)\[(\d+)\]/);
-      if (propArrayMatch) {
-        var prop = propArrayMatch[1];
-        var index = propArrayMatch[2];
-        current = current[prop];
-        if (current != null) {
-          current = current[parseInt(index)];
-        }
-        remaining = remaining.slice(propArrayMatch[0].length);
-      }
-      // Check for simple array notation
-      else {
-        var simpleArrayMatch = remaining.match(/^\[(\d+)\]/);
-        if (simpleArrayMatch) {
-          var idx = simpleArrayMatch[1];
-          current = current[parseInt(idx)];
-          remaining = remaining.slice(simpleArrayMatch[0].length);
-        } else {
-          // Regular property
-          current = current[remaining];
-          break;
-        }
-      }
-      
-      if (current == null) return undefined;
-    }
+
+  var array    = this.lookup(change.key),
+      segments = Glue.pathSegments(change.key),
+      items    = change.items ? change.items.slice() : [];
+
+  if (!utils.isArray(array)) return true;
+
+  var index = spliceIndex(change.index, array.length),
+      count = Math.min(Math.max(Math.trunc(change.remove) || 0, 0), array.length - index),
+      pools = (moving && moving[change.key]) || { leaving: new Map(), arriving: countValues(items) },
+      shown = shownPlaces(array.slice(index, index + count), items, pools.leaving, pools.arriving);
+
+  for (var i = 0; i < Math.max(count, items.length); i++) {
+    if (!shown[i]) continue;
+
+    var at      = segments.concat(String(index + i)),
+        outcome = run(keyFor(at), at, items[i], i < count ? array[index + i] : undefined);
+
+    if (outcome.cancelled) return false;
+    if (i < items.length) items[i] = outcome.value;
   }
-  
-  return current;
-};
 
-// Usage:
-// glue.set(key, value);
-Glue.prototype.set = function(key, value) {
-  var oldTargetClone = Glue.deepClone(this.target)
-    , lastDot     = key.lastIndexOf(".")
-    , lastBracket = key.lastIndexOf("[")
-    , index       = lastBracket > lastDot ? lastBracket : lastDot
-    , keySuffix   = key.substring(index+1).replace(/\]/g, '');
+  if (change.items) change.items = items;
 
-  var base = this.get(key.substring(0, index));
-  base[keySuffix] = value;
+  return true;
 
-  this.notify('set', key, oldTargetClone);
+  function run(path, segments, newValue, oldValue) {
+    for (var j = 0; j < self._interceptors.length; j++) {
+      var interceptor = self._interceptors[j],
+          bindings    = matchPrefix(interceptor.segments, segments);
 
-  return this;
-};
+      if (!bindings) continue;
+      if (interceptor.operations.length && !utils.include(interceptor.operations, operation)) continue;
 
-// Usage
-// glue.remove([key]);
+      var outcome = bindings.rest ?
+        within(interceptor, bindings.rest, segments, bindings, newValue, oldValue) :
+        call(interceptor, path, bindings, newValue, oldValue);
 
-Glue.prototype.remove = function(key){
-  var oldTargetClone = Glue.deepClone(this.target),
-      match = key.match(REGEX_CACHE.arrayIndex),
-      removed;
+      if (outcome.cancelled) return outcome;
+      newValue = outcome.value;
+    }
 
-  if (match) {
-    var index           = match[1]
-      , suffixLastIndex = key.lastIndexOf(match[0]);
+    return { value: newValue };
+  }
 
-    if (suffixLastIndex === 0) {
-      removed = this.target.splice(index, 1)[0];
-    } else {
-      removed = this.get(key.substr(0, suffixLastIndex)).splice(index, 1)[0];
+  // An interceptor on a key below the write sees the values that would land
+  // at (and leave) each place its key matches there. What it returns is put
+  // into a copy of the written value.
+  function within(interceptor, rest, segments, bindings, newValue, oldValue) {
+    if (!rest.length || rest[0] === '**') return call(interceptor, keyFor(segments), bindings, newValue, oldValue);
+
+    var keys  = isWildcard(rest[0]) ? wildcardKeys(rest[0], oldValue, newValue) : [rest[0]],
+        value = newValue,
+        shown = null;
+
+    // An array written over another, as sortBy does, only shows the places
+    // where a value comes in or leaves, as a splice would.
+    if (rest[0].charAt(0) === '[' && utils.isArray(oldValue) && utils.isArray(newValue)) {
+      shown = shownPlaces(oldValue, newValue, new Map(), countValues(newValue));
     }
-  } else {
-    key = key.split('.');
 
-    if (key.length > 1) {
-      var top = key.pop();
-      removed = this.get(key.join('.'))[top];
-      delete this.get(key.join('.'))[top];
-    } else {
-      removed = this.target[key[0]];
-      delete this.target[key[0]];
+    for (var k = 0; k < keys.length; k++) {
+      if (shown && !shown[k]) continue;
+
+      var bound  = bindSegment(rest[0], keys[k], bindings),
+          next   = childOf(value, keys[k]),
+          before = childOf(oldValue, keys[k]);
+
+      if (!bound || (utils.isUndefined(next) && utils.isUndefined(before))) continue;
+
+      var outcome = within(interceptor, rest.slice(1), segments.concat(keys[k]), bound, next, before);
+
+      if (outcome.cancelled) return outcome;
+      if (outcome.value === next || !isObject(value)) continue;
+      if (value === newValue) value = utils.isArray(value) ? value.slice() : utils.extend({}, value);
+
+      value[keys[k]] = outcome.value;
     }
 
-    key = key.join('.');
+    return { value: value };
   }
 
-  this.notify("remove", key, oldTargetClone);
+  function call(interceptor, path, bindings, newValue, oldValue) {
+    var message = { operation: operation, path: path, newValue: newValue, oldValue: oldValue };
+    if (!utils.isEmpty(bindings.params)) message.params = bindings.params;
+
+    var result = interceptor.fn(message);
+
+    if (result === Glue.CANCEL) return { cancelled: true };
 
-  return removed;
+    return { value: utils.isUndefined(result) ? newValue : result };
+  }
 };
 
-// Usage
-// topic.push([key], value);
-Glue.prototype.push = function() {
-  var oldTargetClone = Glue.deepClone(this.target),
-      self = this,
-      a = arguments;
+// Matches a pattern against the start of a concrete path, returning the
+// bindings it captured or null. When the path ends first, the part of the
+// pattern left over is returned as `rest`.
+function matchPrefix(pattern, segments) {
+  var bindings = { params: {} };
 
-  if (a.length === 1) {
-    push('', this.target, a[0]);
-  } else {
-    push(a[0], self.get(a[0]), a[1]);
+  for (var i = 0; i < pattern.length && bindings; i++) {
+    if (pattern[i] === '**') return bindings;
+
+    if (i >= segments.length) {
+      bindings = utils.extend({}, bindings);
+      bindings.rest = pattern.slice(i);
+      return bindings;
+    }
+
+    bindings = bindSegment(pattern[i], segments[i], bindings);
   }
 
-  function push(key, collection, item) {
-    collection.push(item);
-    self.notify("push", key, oldTargetClone);
-  };
+  return bindings;
+}
 
-  return this;
-};
+function childOf(value, key) {
+  return isObject(value) ? value[key] : undefined;
+}
 
-// Usage
-// glue.pop([key]);
-Glue.prototype.pop = function(key){
-  var oldTargetClone = Glue.deepClone(this.target),
-      key = key || '',
-      collection = this.get(key),
-      value = collection.pop();
+// Not in the public API.
+//
+// Captures the part of the target that a mutation at `key` can change,
+// before the mutation happens. Array operations pass the array itself as
+// the key, since shifting elements changes every index after the one
+// touched. Other paths listeners use to reach the same objects, through
+// shared or circular references, are captured alongside as `aliases`.
+// Returns null when no registered listener overlaps the key or an alias of
+// it, in which case nothing is cloned and notify has nothing to do.
+//
+// Usage:
+// var snapshot = glue.snapshot(key);
+// ...mutate...
+// glue.notify(operation, key, snapshot);
+Glue.prototype.snapshot = function(key) {
+  var segments = Glue.pathSegments(key || ''),
+      aliases  = this.aliases(segments);
 
-  this.notify("pop", key, oldTargetClone);
+  if (utils.isEmpty(aliases) && !this.isObserved(segments)) return null;
 
-  return value;
-};
+  var self     = this,
+      snapshot = this.capture(segments);
 
-// Usage
-// glue.insert([key], index, value);
-Glue.prototype.insert = function() {
-  var oldTargetClone = Glue.deepClone(this.target),
-      key = key || '',
-      i = 0, a = arguments;
+  snapshot.aliases = utils.map(aliases, function(alias) {
+    return self.capture(alias);
+  });
 
-  var key   = a.length < 3 ?  '' : a[i++],
-      index = a[i++],
-      value = a[i++];
+  return snapshot;
+};
 
-  this.get(key).splice(index, 0, value);
-  this.notify('insert', key, oldTargetClone);
+// Not in the public API.
+Glue.prototype.capture = function(segments) {
+  // While notifications are pending, a region that already holds this path
+  // kept its value from before they started, so there's nothing new to
+  // capture.
+  if (this._pending && utils.some(this._pending.regions, function(region) {
+    return isPrefix(region.segments, segments);
+  })) {
+    return { segments: segments, covered: true };
+  }
 
-  return this;
+  return {
+    segments: segments,
+    value: this.cloneValue(valueAt(this.target, segments))
+  };
 };
 
-// Usage
-// glue.filter([key], filterBy);
+// Not in the public API.
+//
+// The paths other than `segments` that reach what a mutation there changes,
+// as far as listeners can see: wherever a listener key passes through an
+// object on the way to `segments`, the rest of the way is the same. Paths
+// that turn out not to have changed are dropped when they're compared, so
+// it's fine to find a few too many. Only the objects on the way to
+// `segments` are looked up (see reachable), so a mutation whose objects no
+// listener key reaches another way costs next to nothing.
+Glue.prototype.aliases = function(segments) {
+  var reachable = this.reachable(),
+      found     = [],
+      seen      = {},
+      current   = this.target;
+
+  seen[segments.join('.')] = true;
+
+  for (var i = 0; i <= segments.length && current !== null && typeof current === 'object'; i++) {
+    utils.each(reachable.get(current) || [], function(reach) {
+      // Listeners at or above `segments` see the change already.
+      if (reach.search && isPrefix(reach.search, segments)) return;
+
+      var alias = reach.path.concat(segments.slice(i)),
+          id    = alias.join('.');
+
+      if (seen[id]) return;
+
+      seen[id] = true;
+      found.push(alias);
+    });
 
-Glue.prototype.filter = function() {
-  var oldTargetClone = Glue.deepClone(this.target),
-      self     = this,
-      i        = 0,
-      a        = arguments,
-      key      = a.length < 2 ?  '' : a[i++],
-      filterBy = a[i++];
-
-  var collection = key === '' ? this.target : self.get(key);
-  
-  // Optimized: Single-pass backwards iteration for in-place filtering
-  for (var idx = collection.length - 1; idx >= 0; idx--) {
-    if (!filterBy(collection[idx], idx)) {
-      collection.splice(idx, 1);
-    }
+    current = current[segments[i]];
   }
 
-  self.notify("filter", key, oldTargetClone, true);
+  return found;
+};
 
-  return this.get(Glue.baseKey(key));
+// Not in the public API.
+//
+// Every object a listener key passes through, with the paths it's reached
+// by: each key is followed through the target, and '**' searches what's
+// below it. Following keys with wildcards visits every element they match,
+// so the result is built once and then kept in step with each write (see
+// retrace), until the listeners change. Objects reached by a '**' search
+// note where it started, as `search`.
+Glue.prototype.reachable = function() {
+  if (this._reachable && this._reachable.target === this.target) return this._reachable.objects;
+
+  var objects = new Map();
+
+  utils.each(['specific', 'generic'], function(type) {
+    utils.each(utils.keys(this.listeners[type]), function(k) {
+      // '*' sees every change already.
+      if (k !== '*') follow(objects, this.target, Glue.pathSegments(k), 0, [], true);
+    }, this);
+  }, this);
+
+  this._reachable = { target: this.target, objects: objects };
+
+  return objects;
 };
 
-Glue.baseKey = function(key) {
-  return key.replace(/\[[^\[]*\]$/, '');
+// Not in the public API.
+//
+// Keeps reachable in step with a write at object[key]: listener keys that
+// went through `previous` stop reaching what's below it, and follow
+// `current` instead. Only the paths through `object` are looked at, so a
+// write costs what the values written and replaced hold, not what the
+// listener keys cover.
+Glue.prototype.retrace = function(object, key, previous, current) {
+  var objects = this._reachable && this._reachable.target === this.target && this._reachable.objects,
+      reaches = objects && (isObject(previous) || isObject(current)) && objects.get(object);
+
+  if (!reaches) return;
+
+  utils.each(reaches.slice(), function(reach) {
+    var path = reach.path.concat(String(key));
+
+    if (reach.search) {
+      search(objects, previous, path, reach.pattern, reach.search, new Set(), false);
+      search(objects, current, path, reach.pattern, reach.search, new Set(), true);
+    } else if (reach.depth < reach.pattern.length && followsKey(reach.pattern[reach.depth], object, key)) {
+      follow(objects, previous, reach.pattern, reach.depth + 1, path, false);
+      follow(objects, current, reach.pattern, reach.depth + 1, path, true);
+    }
+  });
 };
 
-Glue.prototype.baseKeyAndSuffix = function(key) {
-  var lastDot     = key.lastIndexOf(".")
-    , lastBracket = key.lastIndexOf("[")
-    , index       = lastBracket > lastDot ? lastBracket : lastDot
-    , keySuffix   = key.substring(index+1).replace(/\]/g, '');
+// Notes (or, with `add` false, forgets) the objects `pattern` reaches from
+// `value`, which is at `path`, having matched `depth` of its segments.
+function follow(objects, value, pattern, depth, path, add) {
+  if (!isObject(value)) return;
 
-  return [this.get(key.substring(0, index)), keySuffix];
-};
+  reached(objects, value, { path: path, pattern: pattern, depth: depth }, add);
 
-// Usage
-// glue.sort([key], sortBy);
+  if (depth === pattern.length) return;
 
-Glue.prototype.sortBy = function() {
-  var oldTargetClone = Glue.deepClone(this.target),
-      self = this,
-      i = 0, a = arguments,
-      key    = a.length < 2 ?  '' : a[i++],
-      sortBy = a[i++],
-      collectionWithIndex;
+  var segment = pattern[depth];
 
-  collectionWithIndex = utils.map(this.get(key), function(val, index) {
-    return [val, index];
-  });
+  if (segment === '**') {
+    search(objects, value, path, pattern, path, new Set(), add);
+    return;
+  }
 
-  var sortedWithIndex = utils.sortBy(collectionWithIndex, function(elem) {
-    return sortBy(elem[0]);
+  utils.each(isWildcard(segment) ? wildcardKeys(segment, value) : [segment], function(key) {
+    follow(objects, value[key], pattern, depth + 1, path.concat(key), add);
   });
+}
 
-  var sorted = utils.map(sortedWithIndex, function(elem) { return elem[0] });
+function search(objects, value, path, pattern, root, visited, add) {
+  if (!isObject(value) || visited.has(value)) return;
 
-  if (key === '') {
-    this.target = sorted;
-  } else {
-    var bs = this.baseKeyAndSuffix(key);
-    bs[0][bs[1]] = sorted;
-  };
+  visited.add(value);
+  reached(objects, value, { path: path, pattern: pattern, search: root }, add);
 
-  var indices = utils.map(sortedWithIndex, function(elem) {
-    return elem[1];
+  utils.each(keysOf(value), function(key) {
+    search(objects, value[key], path.concat(key), pattern, root, visited, add);
   });
+}
 
-  this.notify("filter", key, oldTargetClone, true);
+function reached(objects, value, reach, add) {
+  var reaches = objects.get(value);
 
-  return sorted;
-};
+  if (add) {
+    if (!reaches) objects.set(value, reaches = []);
+    reaches.push(reach);
+    return;
+  }
 
-// Usage
-// glue.swap(loc1, loc2);
-Glue.prototype.swap = function(loc1, loc2) {
-  // IMPORTANT: Clone BEFORE making changes
-  var oldTargetClone = Glue.deepClone(this.target),
-      self = this,
-      value1 = this.get(loc1),
-      value2 = this.get(loc2),
-      bs1 = this.baseKeyAndSuffix(loc1),
-      bs2 = this.baseKeyAndSuffix(loc2);
-
-  // Now swap the values
-  bs1[0][bs1[1]] = value2;
-  bs2[0][bs2[1]] = value1;
+  if (!reaches) return;
+
+  var id = reach.path.join('.');
+
+  for (var i = 0; i < reaches.length; i++) {
+    var other = reaches[i];
+
+    if (other.pattern === reach.pattern && other.depth === reach.depth && other.search === reach.search &&
+        other.path.join('.') === id) {
+      reaches.splice(i, 1);
+      break;
+    }
+  }
+
+  if (!reaches.length) objects.delete(value);
+}
+
+// Whether a key segment that follow reaches `object` with goes on to
+// object[key]. '**' is left to the search it starts.
+function followsKey(segment, object, key) {
+  if (!isWildcard(segment)) return segment === String(key);
+  if (segment === '**') return false;
+
+  return segment.charAt(0) !== '[' || (utils.isArray(object) && /^\d+$/.test(key));
+}
+
+// Not in the public API.
+//
+// Copies and comparisons go through options.clone and options.isEqual, for
+// classes glue can't copy or compare on its own.
+Glue.prototype.cloneValue = function(value) {
+  return this.options.clone ? Glue.deepClone(value, this.options.clone) : Glue.deepClone(value);
+};
+
+// Not in the public API.
+Glue.prototype.equalValues = function(a, b) {
+  // Most values compared are primitives; they don't need the deep compare.
+  if (!this.options.isEqual && !isObject(a) && !isObject(b)) return sameValue(a, b);
+
+  return utils.isEqual(a, b, this.options.isEqual);
+};
+
+// Not in the public API.
+//
+// Listeners registered with the `ignore` context don't count.
+Glue.prototype.isObserved = function(segments, ignore) {
+  var self = this;
+
+  return ['specific', 'generic'].some(function(type) {
+    return utils.keys(self.listeners[type]).some(function(k) {
+      return overlaps(Glue.pathSegments(k), segments) &&
+        (!ignore || utils.some(self.listeners[type][k], function(listener) {
+          return listener.context !== ignore;
+        }));
+    });
+  });
+};
+
+// Usage:
+// glue.batch(fn);
+//
+// Runs fn without notifying anyone. When fn returns (or throws) every
+// listener affected by the mutations it made is called once, with its final
+// value. Batches nest; only the outermost one notifies. With a deferred
+// scheduler the batch simply joins the pending notifications.
+Glue.prototype.batch = function(fn) {
+  var outermost = !this._pending;
+
+  if (outermost) this._pending = { changes: [], regions: [] };
+
+  try {
+    fn();
+  } finally {
+    if (outermost) this.schedule();
+  }
+
+  return this;
+};
+
+// Usage:
+// glue.flush();
+//
+// Dispatches pending notifications now instead of waiting for the
+// scheduler. Does nothing when nothing is pending.
+Glue.prototype.flush = function() {
+  var pending = this._pending,
+      carried = this._carried,
+      resumed = carried && !(this._chain && this._chain.length);
+
+  this._scheduled = false;
+  this._carried = null;
+
+  if (!pending) return this;
+
+  this._pending = null;
+
+  // Changes observers made are dispatched as if they were still inside the
+  // notifications that led to them, so a cycle that goes through a
+  // deferred scheduler reaches the re-entrancy limit too.
+  if (resumed) this._chain = carried;
+
+  try {
+    this.dispatch(pending.changes, pending.regions);
+  } finally {
+    if (resumed) {
+      this._chain = [];
+      this.settle();
+    }
+  }
+
+  return this;
+};
+
+// Not in the public API.
+Glue.prototype.schedule = function() {
+  var self = this;
+
+  if (!this._scheduler) return this.flush();
+
+  // Remember the notifications an observer's change was made in (see
+  // flush).
+  if (this._chain && this._chain.length && !this._carried) this._carried = this._chain.slice();
+
+  if (this._scheduled) return;
+
+  this._scheduled = true;
+  this._scheduler(function() {
+    self.flush();
+  });
+};
+
+// Not in the public API.
+//
+// Invokes the listeners affected by a change at `key`, or queues the change
+// while a batch is open or a deferred scheduler hasn't flushed yet.
+Glue.prototype.notify = function(operation, key, snapshot, reverse, splices) {
+  if (!snapshot) return;
+
+  // The change is reported under each alias too, at the same place below it.
+  // Its path is worked out here, once, rather than for every listener.
+  var own       = Glue.pathSegments(key || ''),
+      below     = own.slice(snapshot.segments.length),
+      snapshots = [snapshot].concat(snapshot.aliases || []),
+      changes   = utils.map(snapshots, function(s) {
+        var segments = s === snapshot ? own : s.segments.concat(below);
+
+        return {
+          operation: operation,
+          key: s === snapshot ? key : keyFor(segments),
+          segments: segments,
+          path: keyFor(segments),
+          scope: s.segments,
+          reverse: reverse,
+          splices: s === snapshot ? splices : rebaseSplices(splices, snapshot.segments, s.segments)
+        };
+      });
+
+  if (!this._pending && !this._scheduler) {
+    this.dispatch(changes, snapshots);
+    return;
+  }
+
+  var opened = !this._pending;
+
+  if (opened) this._pending = { changes: [], regions: [] };
+
+  this._pending.changes.push.apply(this._pending.changes, changes);
+  utils.each(snapshots, function(s) {
+    if (!s.covered) addRegion(this._pending.regions, s);
+  }, this);
+
+  if (opened) this.schedule();
+};
+
+// The splice records of a change, as seen from an alias of its scope.
+// Records for arrays above the scope are left out; observers of those
+// arrays work out what changed from their values instead.
+function rebaseSplices(splices, from, to) {
+  return utils.filter(utils.map(splices || [], function(splice) {
+    if (!isPrefix(from, splice.segments)) return null;
+    return utils.extend({}, splice, { segments: to.concat(splice.segments.slice(from.length)) });
+  }), Boolean);
+}
+
+// The splice records for primitive changes that were written, each with the
+// `segments` of the array it changed: a splice of an array, or a set of one
+// of its elements.
+function spliceRecords(changes, inverses) {
+  var records = [];
+
+  utils.each(changes, function(change, i) {
+    var inverse = inverses[i];
+
+    if (change.action === 'splice') {
+      records.push({
+        segments: Glue.pathSegments(change.key),
+        index: change.index,
+        removed: inverse.items,
+        addedCount: change.items.length
+      });
+    } else if (change.action === 'set' && utils.isArray(change.object) && /^\d+$/.test(change.property)) {
+      var segments = Glue.pathSegments(change.key).slice(0, -1),
+          grew     = inverse.property === 'length';
+
+      records.push({
+        segments: segments,
+        index: grew ? inverse.value : +change.property,
+        removed: grew ? [] : [inverse.value],
+        addedCount: grew ? +change.property - inverse.value + 1 : 1
+      });
+    }
+  });
+
+  return records;
+}
+
+// Not in the public API.
+//
+// Only the regions captured by snapshots are compared: listeners on an
+// ancestor of a region fire whenever it changed, listeners inside it compare
+// their own slice, and every other listener is skipped without looking at its
+// value. Each listener is called at most once per key and index, with the last
+// of the changes' operations that it accepts.
+Glue.prototype.dispatch = function(changes, regions) {
+  var self        = this,
+      previous    = this._dispatch,
+      queued      = [],
+      prioritized = false;
+
+  regions = utils.filter(regions, function(region) {
+    region.current = self.cloneValue(valueAt(self.target, region.segments));
+    return !self.equalValues(region.value, region.current);
+  });
+
+  if (utils.isEmpty(regions)) return;
+
+  this.enter(changes);
+
+  // Identifies this pass, so a listener reached through several keys can
+  // tell it has already handled it.
+  this._dispatch = {};
+
+  try {
+    queueSpecific();
+    queueGeneric();
+    invokeQueued();
+  } finally {
+    this._dispatch = previous;
+    this.leave();
+  }
+
+  function queueSpecific() {
+    utils.each(self.listeners.specific, function(listeners, k) {
+      var segments = Glue.pathSegments(k);
+
+      if (!changedAt(segments)) return;
+
+      var currentValue = self.lookup(k),
+          found        = changesAt(segments);
+
+      utils.each(listeners, function(listener) {
+        queue(found, listener, k, segments, currentValue);
+      });
+    });
+  };
+
+  function queueGeneric() {
+    utils.each(self.listeners.generic, function(listeners, k) {
+      var pattern = Glue.pathSegments(k),
+          spliced = utils.filter(listeners, function(listener) { return listener.splices; }),
+          indexed = utils.reject(listeners, function(listener) { return listener.splices; });
+
+      if (!utils.isEmpty(indexed)) {
+        utils.each(matches(pattern), function(match) {
+          var currentValue = match.walked && !isObject(match.current) ? match.current : valueAt(self.target, match.segments),
+              found        = changes.length === 1 ? changes : changesFor(match.segments);
+
+          for (var i = 0; i < indexed.length; i++) {
+            queue(found, indexed[i], k, match.segments, currentValue, match.index, match.params, undefined, match);
+          }
+        });
+      }
+
+      // Splice listeners are called once per changed array matching the
+      // pattern without its last segment.
+      if (!utils.isEmpty(spliced)) {
+        utils.each(matches(pattern.slice(0, -1)), function(match) {
+          var currentValue = valueAt(self.target, match.segments),
+              found        = changesAt(match.segments),
+              splices      = splicesAt(match.segments, found);
+
+          if (utils.isEmpty(splices)) return;
+
+          utils.each(spliced, function(listener) {
+            queue(found, listener, k, match.segments, currentValue, match.index, match.params, splices);
+          });
+        });
+      }
+    });
+  };
+
+  // Listeners run highest priority first. The sort is stable, so those with
+  // the same priority keep the order they were queued in: specific keys
+  // before generic ones, keys in the order they were first observed, and
+  // each key's listeners in the order they were added.
+  function queue(found, listener, key, segments, currentValue, index, params, splices, match) {
+    if (listener.priority) prioritized = true;
+
+    queued.push({
+      found: found, listener: listener, key: key, segments: segments, currentValue: currentValue,
+      index: index, params: params, splices: splices, match: match
+    });
+  };
+
+  function invokeQueued() {
+    if (prioritized) {
+      queued.sort(function(a, b) {
+        return (b.listener.priority || 0) - (a.listener.priority || 0);
+      });
+    }
+
+    for (var i = 0; i < queued.length; i++) invoke(queued[i]);
+  };
+
+  // The concrete paths matching a generic key whose value changed. Regions
+  // inside the key's reach match the part of it they cover (or all of it,
+  // for '**'); below a region, the old and current values are walked in
+  // step, following each wildcard into every key either one has. With a
+  // single region, paths found by walking it keep their old value, so it
+  // doesn't have to be looked up again.
+  function matches(pattern) {
+    var found = [],
+        seen  = regions.length > 1 ? {} : null,
+        deep  = pattern[pattern.length - 1] === '**',
+        base  = deep ? pattern.slice(0, -1) : pattern;
+
+    utils.each(regions, function(region) {
+      var segments = region.segments,
+          depth    = Math.min(base.length, segments.length),
+          bindings = { params: undefined, index: undefined };
+
+      for (var i = 0; i < depth && bindings; i++) {
+        bindings = bindSegment(base[i], segments[i], bindings);
+      }
+
+      if (!bindings) return;
+
+      if (segments.length >= base.length) {
+        add(deep ? segments : segments.slice(0, base.length), bindings.index, bindings.params);
+      } else {
+        walk(base.slice(depth), segments, region.value, region.current, bindings, reversed(region));
+      }
+    });
+
+    // `old` and `current` differ at `path`. Only keys whose values differ
+    // are followed; arrays are stepped through by index.
+    function walk(rest, path, old, current, bindings, reverse) {
+      if (!rest.length) return add(path, bindings.index, bindings.params, true, old, current);
+
+      var segment = rest[0],
+          next    = rest.slice(1);
+
+      if (segment.charAt(0) === '[' && isWildcard(segment)) {
+        var name   = segment.slice(2, -1),
+            length = Math.max(utils.isArray(old) ? old.length : 0, utils.isArray(current) ? current.length : 0);
+
+        for (var n = 0; n < length; n++) {
+          var i      = reverse ? length - 1 - n : n,
+              before = old == null ? undefined : old[i],
+              after  = current == null ? undefined : current[i];
+
+          if (before === after || self.equalValues(before, after)) continue;
+
+          var params = bindings.params;
+
+          if (name) {
+            params = utils.extend({}, params);
+            params[name] = i;
+          }
+
+          if (next.length) {
+            walk(next, path.concat(String(i)), before, after, { params: params, index: i }, reverse);
+          } else {
+            add(path.concat(String(i)), i, params, true, before, after);
+          }
+        }
+        return;
+      }
+
+      var keys = isWildcard(segment) ? wildcardKeys(segment, old, current) : [segment];
+
+      if (reverse) keys = keys.slice().reverse();
+
+      utils.each(keys, function(key) {
+        var before = old == null ? undefined : old[key],
+            after  = current == null ? undefined : current[key];
+
+        if (before === after || self.equalValues(before, after)) return;
+
+        var bound = bindSegment(segment, key, bindings);
+
+        if (bound) walk(next, path.concat(key), before, after, bound, reverse);
+      });
+    }
+
+    function add(segments, index, params, walked, previous, current) {
+      var match = { segments: segments, index: index, params: params };
+
+      if (seen) {
+        var id = segments.join('.');
+
+        if (seen[id]) return;
+        seen[id] = true;
+      } else if (walked) {
+        match.walked = true;
+        match.previous = previous;
+        match.current = current;
+      }
+
+      found.push(match);
+    }
+
+    return found;
+  };
+
+  // Operations that removed elements report shifted indices last first.
+  function reversed(region) {
+    var last = utils.filter(changes, function(change) {
+      return isPrefix(region.segments, change.scope);
+    }).pop();
+
+    return !!(last && last.reverse);
+  };
+
+  // Ancestors of a changed region (including '*') changed because the
+  // region did; descendants are compared slice against slice.
+  function changedAt(segments) {
+    return utils.some(regions, function(region) {
+      if (isPrefix(segments, region.segments)) return true;
+      if (!isPrefix(region.segments, segments)) return false;
+
+      var relative = segments.slice(region.segments.length);
+
+      return !self.equalValues(valueAt(region.current, relative), valueAt(region.value, relative));
+    });
+  };
+
+  function changesAt(segments) {
+    return utils.filter(changes, function(change) {
+      return overlaps(change.scope, segments);
+    });
+  };
+
+  // For a concrete path, changes made at or below it take precedence over
+  // changes to an ancestor that may or may not have affected it.
+  function changesFor(segments) {
+    var direct = utils.filter(changes, function(change) {
+      return isPrefix(segments, change.segments);
+    });
+
+    return utils.isEmpty(direct) ? changesAt(segments) : direct;
+  };
+
+  // The value at `segments` before the changes. Inside a region it's read
+  // from the region; an ancestor of changed regions gets its current value
+  // with each region's old value put back, copying only the containers on
+  // the way down to them.
+  function previousAt(segments) {
+    var holder = utils.find(regions, function(region) {
+      return isPrefix(region.segments, segments);
+    });
+
+    if (holder) return valueAt(holder.value, segments.slice(holder.segments.length));
+
+    var previous = valueAt(self.target, segments);
+
+    utils.each(regions, function(region) {
+      if (isPrefix(segments, region.segments)) {
+        previous = graft(previous, region.segments.slice(segments.length), region.value);
+      }
+    });
+
+    return previous;
+  };
+
+  // The splice records that turn the array's old value into its current
+  // one: those the changes made, in order, when every change touching the
+  // array was a splice of it; otherwise one record spanning everything
+  // between the unchanged ends.
+  function splicesAt(segments, found) {
+    var id      = segments.join('.'),
+        records = [],
+        exact   = utils.every(found, function(change) {
+          var own = utils.filter(change.splices || [], function(splice) {
+            return splice.segments.join('.') === id;
+          });
+
+          records = records.concat(own);
+          return !utils.isEmpty(own);
+        });
+
+    if (!exact || utils.isEmpty(records)) return diffSplices(previousAt(segments), valueAt(self.target, segments));
+
+    return utils.map(records, function(record) {
+      return { index: record.index, removed: record.removed, addedCount: record.addedCount };
+    });
+  };
+
+  function diffSplices(old, current) {
+    old = utils.isArray(old) ? old : [];
+    current = utils.isArray(current) ? current : [];
+
+    var start = 0,
+        end   = 0,
+        limit = Math.min(old.length, current.length);
+
+    while (start < limit && self.equalValues(old[start], current[start])) start++;
+    while (end < limit - start && self.equalValues(old[old.length - 1 - end], current[current.length - 1 - end])) end++;
+
+    if (start === old.length && start === current.length) return [];
+
+    return [{
+      index: start,
+      removed: old.slice(start, old.length - end),
+      addedCount: current.length - end - start
+    }];
+  };
+
+  function invoke(call) {
+    var found    = call.found,
+        listener = call.listener,
+        segments = call.segments,
+        index    = call.index,
+        params   = call.params,
+        splices  = call.splices,
+        match    = call.match;
+
+    if (listener.operations.length) {
+      found = utils.filter(found, function(change) {
+        return utils.include(listener.operations, change.operation);
+      });
+    }
+
+    if (utils.isEmpty(found)) return;
+
+    var change  = found[found.length - 1],
+        message = {
+          operation: change.operation,
+          value: call.currentValue
+        };
+
+    if (!utils.isUndefined(index)) message.index = index;
+    if (params) message.params = params;
+    if (splices) message.splices = splices;
+
+    message.oldValue = match && match.walked ? match.previous : previousAt(segments);
+    message.path = change.path;
+    message.key = call.key;
+
+    var mode = listener.values || self.options.messageValues;
+
+    if (mode && mode !== 'live') {
+      var at = keyFor(segments);
+
+      message.value = protectValue(self, message.value, mode, at);
+      message.oldValue = protectValue(self, message.oldValue, mode, at);
+
+      if (splices) {
+        message.splices = utils.map(splices, function(splice) {
+          return { index: splice.index, removed: protectValue(self, splice.removed, mode, at), addedCount: splice.addedCount };
+        });
+      }
+    }
+
+    // Not enumerable, so that logging or comparing a message doesn't walk
+    // the whole instance.
+    Object.defineProperty(message, 'target', { value: self._proxy || self });
+
+    callListener(listener, message);
+  };
+
+  // The listener is noted as observing while it runs, so that what it
+  // writes can be put down to it (see describeObservers). What it throws is
+  // reported rather than thrown, so the other listeners still run.
+  function callListener(listener, message) {
+    var observing = self._observing,
+        start     = self.debug ? now() : 0,
+        threw     = false,
+        error;
+
+    self._observing = listener;
+
+    try {
+      listener.callback.call(listener.context, message);
+    } catch (e) {
+      threw = true;
+      error = e;
+    }
+
+    self._observing = observing;
+
+    if (self.debug) self.debug.observed(listener, message, now() - start, error);
+    if (threw) self.observerError(error, listener, message);
+  };
+};
+
+// Not in the public API.
+//
+// Hands an exception an observer threw to options.onError, or to
+// Glue.onError. An observer cycle isn't one observer's fault and still
+// stops the whole chain.
+Glue.prototype.observerError = function(error, listener, message) {
+  if (error && error.name === 'GlueCycleError') throw error;
+
+  (this.options.onError || Glue.onError).call(this, error, {
+    key: message.key,
+    path: message.path,
+    operation: message.operation,
+    callback: listener.callback,
+    context: listener.context,
+    message: message
+  });
+};
+
+// Usage:
+// Glue.onError = function(error, info) { ... };
+//
+// Where observer exceptions go when an instance has no onError option. The
+// default logs them.
+Glue.onError = function(error, info) {
+  if (typeof console !== 'undefined') {
+    console.error('Glue observer of "' + info.key + '" threw on ' + info.operation + ':', error);
+  }
+};
+
+// Not in the public API.
+//
+// Records that notifications for the changed keys are being dispatched. An
+// observer that changes a key whose notification is still running (directly
+// or through other observers) re-enters it; past the re-entrancy limit that's
+// treated as a cycle that won't settle, and an error naming the chain of keys
+// is thrown instead of overflowing the stack.
+Glue.prototype.enter = function(changes) {
+  var chain = this._chain = this._chain || [],
+      limit = this.options.reentrancyLimit || Glue.reentrancyLimit,
+      keys  = utils.union(utils.map(changes, function(change) {
+        return change.segments.join('.') || '*';
+      }));
+
+  utils.each(keys, function(key) {
+    var depth = utils.filter(chain, function(entry) {
+      return utils.include(entry, key);
+    }).length;
+
+    if (depth === 0) return;
+
+    var cycle = cycleFrom(chain, key);
+
+    if (depth >= limit) {
+      var error = new Error('Observer cycle exceeded the re-entrancy limit of ' + limit +
+        ' for "' + key + '": ' + cycle.join(' → '));
+
+      error.name = 'GlueCycleError';
+      error.chain = cycle;
+      this._cycle = null;
+      throw error;
+    }
+
+    if (!this._cycle || cycle.length > this._cycle.length) this._cycle = cycle;
+  }, this);
+
+  chain.push(keys);
+};
+
+// Not in the public API.
+Glue.prototype.leave = function() {
+  this._chain.pop();
+
+  if (!this._chain.length) this.settle();
+};
+
+// Not in the public API.
+//
+// Warns about a cycle once the observers in it have settled, which with a
+// deferred scheduler is when none of their changes are waiting to be
+// dispatched.
+Glue.prototype.settle = function() {
+  if (!this._cycle || this._carried) return;
+
+  if (this.options.warnOnCycles && typeof console !== 'undefined') {
+    console.warn('glue: observers cycled before settling: ' + this._cycle.join(' → '));
+  }
+
+  this._cycle = null;
+};
+
+// The keys from the last time `key` was dispatched up to `key` again.
+function cycleFrom(chain, key) {
+  for (var i = chain.length - 1; i >= 0; i--) {
+    if (utils.include(chain[i], key)) break;
+  }
+
+  return utils.map(chain.slice(i), function(entry) {
+    return entry.join(', ');
+  }).concat(key);
+}
+
+// Adds a snapshot to the pending regions. Earlier regions inside it are
+// folded back in, so that every region holds the value from before the first
+// pending change.
+function addRegion(regions, snapshot) {
+  for (var i = regions.length - 1; i >= 0; i--) {
+    if (!isPrefix(snapshot.segments, regions[i].segments)) continue;
+
+    var relative = regions[i].segments.slice(snapshot.segments.length),
+        parent   = valueAt(snapshot.value, relative.slice(0, -1)),
+        last     = relative[relative.length - 1];
+
+    if (parent && typeof parent === 'object') {
+      if (utils.isUndefined(regions[i].value)) {
+        delete parent[last];
+      } else {
+        parent[last] = regions[i].value;
+      }
+    }
+
+    regions.splice(i, 1);
+  }
+
+  regions.push(snapshot);
+}
+
+function valueAt(obj, segments) {
+  var current = obj;
+
+  for (var i = 0; i < segments.length; i++) {
+    if (current == null) return undefined;
+    current = current[segments[i]];
+  }
+
+  return current;
+}
+
+// A copy of `value` with `old` at `path`, or nothing there when `old` is
+// undefined. Only the containers along the path are copied.
+function graft(value, path, old) {
+  if (!path.length) return old;
+
+  var copy = utils.isArray(value) ? value.slice() :
+    value !== null && typeof value === 'object' ? utils.extend(Object.create(Object.getPrototypeOf(value)), value) : {};
+
+  var child = graft(copy[path[0]], path.slice(1), old);
+
+  if (utils.isUndefined(child) && path.length === 1) {
+    delete copy[path[0]];
+  } else {
+    copy[path[0]] = child;
+  }
+
+  return copy;
+}
+
+// Milliseconds, as finely as the platform can measure them.
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+// The key for a list of path segments: ['users', '0', 'name'] becomes
+// 'users[0].name'.
+Glue.keyFor = keyFor;
+
+function keyFor(segments) {
+  var key = '';
+
+  utils.each(segments, function(segment) {
+    if (/^\d+$/.test(segment)) key += '[' + segment + ']';
+    else key = key ? key + '.' + segment : segment;
+  });
+
+  return key;
+}
+
+// What an observer that mustn't change `value` is given: a read-only view
+// of it, or a frozen copy.
+function protectValue(glue, value, mode, path) {
+  if (mode === 'frozen') return freezeDeep(glue.cloneValue(value));
+  if (mode === 'readonly') return readonlyValue(glue, value, path, false);
+
+  return value;
+}
+
+// Freezes value and everything reachable from it. Typed arrays can't be
+// frozen and are left as they are.
+function freezeDeep(value) {
+  if (value === null || typeof value !== 'object' || Object.isFrozen(value) || ArrayBuffer.isView(value)) {
+    return value;
+  }
+
+  Object.freeze(value);
+
+  utils.each(Reflect.ownKeys(value), function(key) {
+    freezeDeep(value[key]);
+  });
+
+  return value;
+}
+
+function isPrefix(prefix, segments) {
+  if (prefix.length > segments.length) return false;
+
+  for (var i = 0; i < prefix.length; i++) {
+    if (prefix[i] !== segments[i]) return false;
+  }
+
+  return true;
+}
+
+// True when one path is a prefix of the other, treating wildcard segments
+// as matching anything ('**' matches whatever follows it too).
+function overlaps(a, b) {
+  for (var i = 0, n = Math.min(a.length, b.length); i < n; i++) {
+    if (a[i] === '**' || b[i] === '**') return true;
+    if (a[i] !== b[i] && !isWildcard(a[i]) && !isWildcard(b[i])) return false;
+  }
+
+  return true;
+}
+
+// Matches one pattern segment against a concrete one, returning the
+// bindings extended with what it captured, or null when it doesn't match.
+// Bindings hold the captured `params` and the last wildcard array `index`.
+function bindSegment(pattern, segment, bindings) {
+  if (!isWildcard(pattern)) return pattern === segment ? bindings : null;
+  if (pattern === '*' || pattern === '**') return bindings;
+
+  var array = pattern.charAt(0) === '[',
+      name  = array ? pattern.slice(2, -1) : pattern.slice(1),
+      bound = { params: bindings.params, index: bindings.index };
+
+  if (array) {
+    if (!/^\d+$/.test(segment)) return null;
+    bound.index = parseInt(segment);
+  }
+
+  if (name) {
+    bound.params = utils.extend({}, bindings.params);
+    bound.params[name] = array ? bound.index : segment;
+  }
+
+  return bound;
+}
+
+// The keys a wildcard segment can take below `old` and `current`.
+function wildcardKeys(pattern, old, current) {
+  if (pattern.charAt(0) === '[') {
+    var length = Math.max(utils.isArray(old) ? old.length : 0, utils.isArray(current) ? current.length : 0);
+    return utils.map(utils.range(0, length), String);
+  }
+
+  return utils.union(keysOf(old), keysOf(current));
+}
+
+// How many times each value appears in `values`. Maps tell values apart
+// the way Array#includes does, so NaN counts as itself.
+function countValues(values) {
+  var counts = new Map();
+
+  for (var i = 0; i < values.length; i++) addValue(counts, values[i]);
+
+  return counts;
+}
+
+// Like ===, except that NaN is the same as itself.
+function sameValue(a, b) {
+  return a === b || (a !== a && b !== b);
+}
+
+function addValue(counts, value) {
+  counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+// Takes one `value` out of `counts`, if there is one left.
+function takeValue(counts, value) {
+  var count = counts.get(value);
+
+  if (count) counts.set(value, count - 1);
+
+  return !!count;
+}
+
+// What an operation's splices put into each array, for interceptChange to
+// tell the elements it only moves around (sorting, reversing, filling or
+// moving within one array) from the ones it brings in or takes out.
+function movingValues(changes) {
+  var moving = {};
+
+  for (var i = 0; i < changes.length; i++) {
+    if (changes[i].action !== 'splice') continue;
+
+    var pools = moving[changes[i].key] = moving[changes[i].key] || { leaving: new Map(), arriving: new Map() };
+
+    utils.each(changes[i].items || [], function(item) {
+      addValue(pools.arriving, item);
+    });
+  }
+
+  return moving;
+}
+
+// Which places of a rewritten array range the interceptors are shown.
+// Values that stay where they are, or move to another place of the array,
+// went through them when they were first written; only places where a value
+// comes in or leaves are shown, as with shift and unshift. `leaving` counts
+// the values taken out of the array so far, and `arriving` those still to
+// be put into it; the values matched here are taken off.
+function shownPlaces(removed, items, leaving, arriving) {
+  var length = Math.max(removed.length, items.length),
+      shown  = new Array(length),
+      i;
+
+  for (i = 0; i < length; i++) {
+    if (i < removed.length && i < items.length && sameValue(removed[i], items[i])) {
+      takeValue(arriving, items[i]);
+      shown[i] = false;
+    } else if (i < removed.length) {
+      addValue(leaving, removed[i]);
+    }
+  }
+
+  for (i = 0; i < length; i++) {
+    if (shown[i] === false) continue;
+
+    shown[i] = (i < items.length && !takeValue(leaving, items[i])) ||
+               (i < removed.length && !takeValue(arriving, removed[i]));
+  }
+
+  return shown;
+}
+
+function keysOf(value) {
+  return value !== null && typeof value === 'object' ? utils.keys(value) : [];
+}
+
+// Not in the public API. It is more performant to access
+// values directly through glue.target. However, one should never
+// modify the values of a target object obtain directly from
+// glue.target.
+//
+// Usage:
+// glue.get([key], [obj]);
+
+Glue.prototype.get = function(key, obj) {
+  if (!obj) {
+    this.refresh(key || '');
+    this.track(key || '');
+  }
+
+  return this.lookup(key, obj);
+};
+
+// Not in the public API.
+//
+// Reads a value without refreshing or tracking computed properties. This is
+// what glue's own methods use, so that their internal reads don't become
+// dependencies.
+Glue.prototype.lookup = function(key, obj) {
+  if (key === '' || key === '*') return obj || this.target;
+  
+  var target = obj || this.target;
+  var normalizedKey = Glue.normalizeKey(key);
+  
+  // Handle array-only notation
+  if (utils.isArray(target) && !normalizedKey.includes('.')) {
+    var match = normalizedKey.match(/^\[(\d+)\]$/);
+    if (match) {
+      return target[parseInt(match[1])];
+    }
+  }
+  
+  // Traverse object path safely without eval
+  var segments = normalizedKey.split('.');
+  var current = target;
+  
+  for (var i = 0; i < segments.length; i++) {
+    if (current == null) return undefined;
+    
+    var segment = segments[i];
+    
+    // Handle multiple array notations like "prop[0][1]"
+    var remaining = segment;
+    while (remaining) {
+      // Check for property with array notation
+      var propArrayMatch = remaining.match(/^([^[]+)\[(\d+)\]/);
+      if (propArrayMatch) {
+        var prop = propArrayMatch[1];
+        var index = propArrayMatch[2];
+        current = current[prop];
+        if (current != null) {
+          current = current[parseInt(index)];
+        }
+        remaining = remaining.slice(propArrayMatch[0].length);
+      }
+      // Check for simple array notation
+      else {
+        var simpleArrayMatch = remaining.match(/^\[(\d+)\]/);
+        if (simpleArrayMatch) {
+          var idx = simpleArrayMatch[1];
+          current = current[parseInt(idx)];
+          remaining = remaining.slice(simpleArrayMatch[0].length);
+        } else {
+          // Regular property
+          current = current[remaining];
+          break;
+        }
+      }
+      
+      if (current == null) return undefined;
+    }
+  }
+  
+  return current;
+};
+
+// Not in the public API.
+//
+// Applies one primitive change to the target and returns the change that
+// undoes it, or null when nothing changed. Every mutation, whether it comes
+// from a method or a proxy trap, is made of these:
+//
+//   { action: 'set',    key: 'user.name', value: 'Jane' }
+//   { action: 'remove', key: 'user.name' }
+//   { action: 'splice', key: 'items', index: 1, remove: 1, items: ['b'] }
+//
+// The container written to is resolved from the key and kept on the change
+// as `object` (and `property`), so the change can be written again later.
+Glue.prototype.write = function(change) {
+  if (change.action === 'splice') return this.writeSplice(change);
+
+  if (!change.object) {
+    var bs = this.baseKeyAndSuffix(change.key);
+
+    change.object = bs[0];
+    change.property = bs[1];
+  }
+
+  var object   = change.object,
+      property = change.property,
+      existed  = Object.prototype.hasOwnProperty.call(object, property),
+      previous = object[property],
+      inverse  = { key: change.key, object: object, property: property };
+
+  if (change.action === 'remove') {
+    delete object[property];
+
+    if (!existed) return null;
+
+    this.retrace(object, property, previous, undefined);
+
+    inverse.action = 'set';
+    inverse.value = previous;
+    return inverse;
+  }
+
+  if (existed && Object.is(previous, change.value)) return null;
+
+  var length = object.length,
+      cut    = property === 'length' && utils.isArray(object) ? object.slice(change.value) : [];
+
+  object[property] = change.value;
+
+  this.retrace(object, property, previous, change.value);
+
+  // Elements an array's length cut off are gone too.
+  for (var i = 0; i < cut.length; i++) {
+    this.retrace(object, change.value + i, cut[i], undefined);
+  }
+
+  if (existed) {
+    inverse.action = 'set';
+    inverse.value = previous;
+  } else if (utils.isArray(object)) {
+    // Writing past the end grew the array; shrinking it back undoes that.
+    inverse.action = 'set';
+    inverse.key = splitKey(change.key)[0];
+    inverse.property = 'length';
+    inverse.value = length;
+  } else {
+    inverse.action = 'remove';
+  }
+
+  return inverse;
+};
+
+// Not in the public API.
+Glue.prototype.writeSplice = function(change) {
+  var array = change.object = change.object || this.lookup(change.key),
+      index = spliceIndex(change.index, array.length),
+      count = Math.min(Math.max(Math.trunc(change.remove) || 0, 0), array.length - index),
+      items = change.items || [];
+
+  var removed = array.splice.apply(array, [index, count].concat(items));
+
+  change.index = index;
+  change.remove = removed.length;
+  change.items = items;
+
+  if (!removed.length && !items.length) return null;
+
+  // Elements after the splice moved to new indices unless as many were put
+  // in as were taken out.
+  var length = array.length + removed.length - items.length,
+      end    = removed.length === items.length ? index + items.length : Math.max(array.length, length);
+
+  for (var i = index; i < end; i++) {
+    var previous = i < index + removed.length ? removed[i - index] : array[i - removed.length + items.length];
+
+    if (previous !== array[i]) this.retrace(array, i, previous, array[i]);
+  }
+
+  return {
+    action: 'splice',
+    key: change.key,
+    object: array,
+    index: index,
+    remove: items.length,
+    items: removed
+  };
+};
+
+// Not in the public API.
+//
+// Makes `changes` as one operation: snapshots `scope`, writes the changes in
+// order, records what they did and notifies the observers of `key`. Returns
+// the inverse of every change that did something, in the order they ran.
+Glue.prototype.perform = function(operation, key, scope, changes, reverse) {
+  var snapshot = this.snapshot(scope),
+      written  = this.writeAll(changes, operation);
+
+  if (written.changes.length) {
+    this.record({ operation: operation, key: key, changes: written.changes, inverses: written.inverses });
+  }
+
+  this.notify(operation, key, snapshot, reverse, spliceRecords(written.changes, written.inverses));
+
+  return written.inverses;
+};
+
+// Not in the public API.
+//
+// Writes each change, keeping the ones that did something alongside their
+// inverses. Interceptors see each change before it's written. With a
+// schema, values are coerced on the way in, and writes it rejects are
+// undone before anything is recorded or notified.
+Glue.prototype.writeAll = function(changes, operation) {
+  var written     = { changes: [], inverses: [] },
+      schema      = this._schema,
+      intercepted = !utils.isEmpty(this._interceptors),
+      moving      = intercepted ? movingValues(changes) : null;
+
+  for (var i = 0; i < changes.length; i++) {
+    if (intercepted && !this.interceptChange(operation, changes[i], moving)) {
+      this.unwrite(written);
+      return { changes: [], inverses: [] };
+    }
+
+    if (schema) schema.coerce(changes[i]);
+
+    var inverse = this.write(changes[i]);
+
+    if (inverse) {
+      written.changes.push(changes[i]);
+      written.inverses.push(inverse);
+    }
+  }
+
+  var errors = schema ? schema.check(written.changes) : [];
+
+  if (errors.length) {
+    this.unwrite(written);
+    throw Schema.error(errors);
+  }
+
+  return written;
+};
+
+// Not in the public API.
+Glue.prototype.unwrite = function(written) {
+  utils.each(written.inverses.slice().reverse(), function(inverse) {
+    this.write(inverse);
+  }, this);
+};
+
+// Not in the public API.
+//
+// Hands a completed operation to every recorder (the undo history, for one).
+// Entries are marked `nested` when an observer made them while another
+// change was being dispatched, and `computed` when they're a computed
+// property writing its own value.
+Glue.prototype.record = function(entry) {
+  if (this._observing) this.noteWrites(this._observing, entry.changes);
+  if (utils.isEmpty(this._recorders)) return;
+
+  var computed = this._computed && this._computed[entry.key];
+
+  entry.nested = !!this._dispatch;
+  entry.computed = !!(computed && computed.writing);
+
+  utils.each(this._recorders.slice(), function(recorder) {
+    recorder(entry);
+  });
+};
+
+// Not in the public API.
+//
+// Remembers the keys a listener wrote to while it was being called.
+Glue.prototype.noteWrites = function(listener, changes) {
+  listener.writes = utils.union(listener.writes || [], utils.map(changes, function(change) {
+    return keyFor(Glue.pathSegments(change.key));
+  }));
+};
+
+// Not in the public API.
+Glue.prototype.addRecorder = function(recorder) {
+  this._recorders = (this._recorders || []).concat(recorder);
+};
+
+// Not in the public API.
+Glue.prototype.removeRecorder = function(recorder) {
+  this._recorders = utils.without(this._recorders || [], recorder);
+};
+
+// Not in the public API.
+//
+// Writes recorded changes back one at a time, in a batch, notifying
+// observers as if each had just been made. Undo and redo go through here.
+// Checked changes come from outside glue, so they go past the interceptors
+// (as an operation named after the source) and the schema like any other
+// write, all or none of them landing.
+Glue.prototype.replay = function(changes, source, checked) {
+  var self = this;
+
+  if (checked) return this.replayChecked(changes, source);
+
+  this.batch(function() {
+    utils.each(changes, function(change) {
+      var snapshot = self.snapshot(change.key),
+          inverse  = self.write(change),
+          operation = replayOperation(change);
+
+      if (inverse) {
+        self.record({
+          operation: operation, key: change.key, changes: [change], inverses: [inverse], source: source
+        });
+      }
+
+      self.notify(operation, change.key, snapshot, false, inverse ? spliceRecords([change], [inverse]) : []);
+    });
+  });
+};
+
+// Not in the public API.
+Glue.prototype.replayChecked = function(changes, source) {
+  var self = this;
+
+  this.batch(function() {
+    var snapshots = utils.map(changes, function(change) { return self.snapshot(change.key); }),
+        written   = self.writeAll(changes, source);
+
+    utils.each(written.changes, function(change, i) {
+      var operation = replayOperation(change);
+
+      self.record({
+        operation: operation, key: change.key, changes: [change], inverses: [written.inverses[i]], source: source
+      });
+      self.notify(operation, change.key, snapshots[changes.indexOf(change)], false, spliceRecords([change], [written.inverses[i]]));
+    });
+  });
+};
+
+// The operation observers see for a replayed change.
+function replayOperation(change) {
+  if (change.action !== 'splice') return change.action;
+
+  var atEnd = change.index + change.items.length === change.object.length;
+
+  if (!change.remove) return atEnd ? 'push' : 'insert';
+  if (!change.items.length) return atEnd ? 'pop' : 'remove';
+
+  return 'splice';
+}
+
+// Clamps a splice start index the way Array.prototype.splice does.
+function spliceIndex(index, length) {
+  index = Math.trunc(index) || 0;
+
+  return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+}
+
+// Usage:
+// glue.set(key, value);
+Glue.prototype.set = function(key, value) {
+  this.perform('set', key, key, [{ action: 'set', key: key, value: value }]);
+
+  return this;
+};
+
+// Usage
+// glue.remove([key]);
+
+Glue.prototype.remove = function(key){
+  var match = key.match(REGEX_CACHE.arrayIndex),
+      inverses;
+
+  if (match) {
+    // Removing an element shifts every element after it.
+    var arrayKey = key.substr(0, key.lastIndexOf(match[0]));
+
+    inverses = this.perform('remove', key, arrayKey, [
+      { action: 'splice', key: arrayKey, index: match[1], remove: 1 }
+    ]);
+
+    return inverses.length ? inverses[0].items[0] : undefined;
+  }
+
+  var segments = key.split('.'),
+      scope    = segments.length > 1 ? segments.slice(0, -1).join('.') : key;
+
+  inverses = this.perform('remove', key, scope, [{ action: 'remove', key: key }]);
+
+  return inverses.length ? inverses[0].value : undefined;
+};
+
+// Usage
+// topic.push([key], value);
+Glue.prototype.push = function() {
+  var key        = arguments.length === 1 ? '' : arguments[0],
+      item       = arguments[arguments.length - 1],
+      collection = this.lookup(key);
+
+  this.perform('push', key, key, [
+    { action: 'splice', key: key, index: collection.length, remove: 0, items: [item] }
+  ]);
+
+  return this;
+};
+
+// Usage
+// glue.pop([key]);
+Glue.prototype.pop = function(key){
+  var key        = key || '',
+      collection = this.lookup(key),
+      inverses   = this.perform('pop', key, key, [
+        { action: 'splice', key: key, index: collection.length - 1, remove: 1 }
+      ]);
+
+  return inverses.length ? inverses[0].items[0] : undefined;
+};
+
+// Usage
+// glue.shift([key]);
+Glue.prototype.shift = function(key){
+  var key      = key || '',
+      inverses = this.perform('shift', key, key, [
+        { action: 'splice', key: key, index: 0, remove: 1 }
+      ]);
+
+  return inverses.length ? inverses[0].items[0] : undefined;
+};
+
+// Usage
+// glue.unshift([key], item, ...);
+Glue.prototype.unshift = function() {
+  var a = arrayArguments(this, arguments);
+
+  this.perform('unshift', a.key, a.key, [
+    { action: 'splice', key: a.key, index: 0, remove: 0, items: a.rest }
+  ]);
+
+  return this;
+};
+
+// Usage
+// glue.splice([key], start, [deleteCount], [item, ...]);
+//
+// Returns the removed elements, like Array.prototype.splice.
+Glue.prototype.splice = function() {
+  var a = arrayArguments(this, arguments);
+
+  if (!a.rest.length) return [];
+
+  var remove   = a.rest.length < 2 ? Infinity : a.rest[1],
+      inverses = this.perform('splice', a.key, a.key, [
+        { action: 'splice', key: a.key, index: a.rest[0], remove: remove, items: a.rest.slice(2) }
+      ]);
+
+  return inverses.length ? inverses[0].items : [];
+};
+
+// Usage
+// glue.reverse([key]);
+Glue.prototype.reverse = function(key) {
+  var key        = key || '',
+      collection = this.lookup(key);
+
+  this.perform('reverse', key, key, [
+    { action: 'splice', key: key, index: 0, remove: collection.length, items: collection.slice().reverse() }
+  ]);
+
+  return collection;
+};
+
+// Usage
+// glue.fill([key], value, [start], [end]);
+Glue.prototype.fill = function() {
+  var a          = arrayArguments(this, arguments),
+      collection = this.lookup(a.key),
+      start      = spliceIndex(a.rest[1], collection.length),
+      end        = utils.isUndefined(a.rest[2]) ? collection.length : spliceIndex(a.rest[2], collection.length);
+
+  if (end > start) {
+    this.perform('fill', a.key, a.key, [
+      { action: 'splice', key: a.key, index: start, remove: end - start, items: new Array(end - start).fill(a.rest[0]) }
+    ]);
+  }
+
+  return collection;
+};
+
+// The optional key of a method taking any number of items. The first
+// argument is the key when it names an array: elements of a root array can
+// be strings too.
+function arrayArguments(glue, args) {
+  var a     = utils.toArray(args),
+      keyed = utils.isString(a[0]) && (!utils.isArray(glue.target) || utils.isArray(glue.lookup(a[0])));
+
+  return { key: keyed ? a[0] : '', rest: keyed ? a.slice(1) : a };
+}
+
+// Usage
+// glue.insert([key], index, value);
+Glue.prototype.insert = function() {
+  var i = 0, a = arguments;
+
+  var key   = a.length < 3 ?  '' : a[i++],
+      index = a[i++],
+      value = a[i++];
+
+  this.perform('insert', key, key, [
+    { action: 'splice', key: key, index: index, remove: 0, items: [value] }
+  ]);
+
+  return this;
+};
+
+// Usage
+// glue.filter([key], filterBy);
+
+Glue.prototype.filter = function() {
+  var i          = 0,
+      a          = arguments,
+      key        = a.length < 2 ?  '' : a[i++],
+      filterBy   = a[i++],
+      collection = this.lookup(key),
+      changes    = [];
+
+  // Backwards, so that each removal leaves the indices still to visit alone.
+  for (var idx = collection.length - 1; idx >= 0; idx--) {
+    if (!filterBy(collection[idx], idx)) {
+      changes.push({ action: 'splice', key: key, index: idx, remove: 1 });
+    }
+  }
+
+  this.perform('filter', key, key, changes, true);
+
+  return this.lookup(Glue.baseKey(key));
+};
+
+Glue.baseKey = function(key) {
+  return key.replace(/\[[^\[]*\]$/, '');
+};
+
+Glue.prototype.baseKeyAndSuffix = function(key) {
+  var parts = splitKey(key);
+
+  return [this.lookup(parts[0]), parts[1]];
+};
+
+// Splits a key into the key of its parent and its last property:
+// 'a.list[2]' becomes ['a.list', '2'].
+function splitKey(key) {
+  var lastDot     = key.lastIndexOf(".")
+    , lastBracket = key.lastIndexOf("[")
+    , index       = lastBracket > lastDot ? lastBracket : lastDot;
+
+  return [key.substring(0, index), key.substring(index+1).replace(/\]/g, '')];
+}
+
+// Usage
+// glue.sort([key], sortBy);
+
+Glue.prototype.sortBy = function() {
+  var i = 0, a = arguments,
+      key    = a.length < 2 ?  '' : a[i++],
+      sortBy = a[i++],
+      collection = this.lookup(key);
+
+  var sorted = utils.sortBy(collection, function(elem) {
+    return sortBy(elem);
+  });
+
+  // The root array can't be replaced, so it's rearranged in place.
+  if (key === '') {
+    this.perform('filter', key, key, [
+      { action: 'splice', key: key, index: 0, remove: collection.length, items: sorted }
+    ], true);
+
+    return collection;
+  }
+
+  this.perform('filter', key, key, [{ action: 'set', key: key, value: sorted }], true);
+
+  return sorted;
+};
+
+// Usage
+// glue.swap(loc1, loc2);
+Glue.prototype.swap = function(loc1, loc2) {
+  // IMPORTANT: Snapshot BEFORE making changes
+  var snapshot1 = this.snapshot(loc1),
+      snapshot2 = this.snapshot(loc2),
+      changes   = [
+        { action: 'set', key: loc1, value: this.lookup(loc2) },
+        { action: 'set', key: loc2, value: this.lookup(loc1) }
+      ],
+      written   = this.writeAll(changes, 'swap');
+
+  if (written.changes.length) {
+    this.record({ operation: 'swap', key: loc1, changes: written.changes, inverses: written.inverses });
+  }
 
   // Notify for the specific locations that changed
-  self.notify("swap", loc1, oldTargetClone);
+  this.notify("swap", loc1, snapshot1);
   if (loc1 !== loc2) {
-    self.notify("swap", loc2, oldTargetClone);
+    this.notify("swap", loc2, snapshot2);
+  }
+
+  return this;
+};
+
+// Usage:
+// glue.move(fromKey, toKey);
+//
+// Moves a value to another key as one operation: observers of both keys are
+// notified once, after the value has arrived. Array elements are taken out
+// of their array and inserted at the destination; as in JSON Patch, the
+// destination is read after the value was taken out, so a move within one
+// array names the index the element ends up at.
+Glue.prototype.move = function(from, to) {
+  return this.relocate('move', from, to);
+};
+
+// Usage:
+// glue.rename('user.oldName', 'user.newName');
+//
+// Moves a value to another key of the same object.
+Glue.prototype.rename = function(from, to) {
+  var parent = splitKey(from)[0];
+
+  if (splitKey(to)[0] !== parent || utils.isArray(this.lookup(parent))) {
+    throw new Error('Cannot rename "' + from + '" to "' + to + '": rename keeps a value in the same object, use move instead');
+  }
+
+  return this.relocate('rename', from, to);
+};
+
+// Usage:
+// glue.copy(fromKey, toKey);
+//
+// Puts a deep copy of the value at fromKey at toKey, inserting it when toKey
+// is an array index.
+Glue.prototype.copy = function(from, to) {
+  if (!hasKey(this, from)) return this;
+
+  var place = placeAt(this, to, this.cloneValue(this.lookup(from)));
+
+  this.performAt('copy', [{ key: to, scope: place.scope }], [place.change]);
+
+  return this;
+};
+
+// Not in the public API.
+Glue.prototype.relocate = function(operation, from, to) {
+  if (from === to || !hasKey(this, from)) return this;
+
+  if (isPrefix(Glue.pathSegments(from), Glue.pathSegments(to))) {
+    throw new Error('Cannot ' + operation + ' "' + from + '" into itself');
+  }
+
+  var source      = takeFrom(this, from),
+      taken       = source.change.action === 'splice' && source.change.key === splitKey(to)[0],
+      destination = placeAt(this, to, this.lookup(from), taken ? 1 : 0);
+
+  this.performAt(operation, [
+    { key: from, scope: source.scope },
+    { key: to, scope: destination.scope }
+  ], [source.change, destination.change]);
+
+  return this;
+};
+
+// Not in the public API.
+//
+// Like perform, for operations that change several places at once. Each
+// place is snapshotted before the changes are written, and notified under
+// its own key in a single pass once they all have been.
+Glue.prototype.performAt = function(operation, places, changes) {
+  var self      = this,
+      snapshots = utils.map(places, function(place) {
+        return self.snapshot(place.scope);
+      }),
+      written   = this.writeAll(changes, operation),
+      splices   = spliceRecords(written.changes, written.inverses),
+      notified  = {};
+
+  if (written.changes.length) {
+    this.record({ operation: operation, key: places[0].key, changes: written.changes, inverses: written.inverses });
+  }
+
+  this.batch(function() {
+    utils.each(places, function(place, i) {
+      var id = Glue.pathSegments(place.scope).join('.');
+
+      // Two places in one array are one region.
+      if (notified[id]) return;
+      notified[id] = true;
+
+      self.notify(operation, place.key, snapshots[i], false, utils.filter(splices, function(splice) {
+        return splice.segments.join('.') === id;
+      }));
+    });
+  });
+
+  return written.inverses;
+};
+
+function hasKey(glue, key) {
+  var bs = glue.baseKeyAndSuffix(key);
+
+  return bs[0] !== null && typeof bs[0] === 'object' && Object.prototype.hasOwnProperty.call(bs[0], bs[1]);
+}
+
+// The change taking the value at `key` out: array elements are spliced out,
+// which shifts the ones after them, so the whole array is in scope.
+function takeFrom(glue, key) {
+  var parts = splitKey(key);
+
+  if (utils.isArray(glue.lookup(parts[0]))) {
+    return { scope: parts[0], change: { action: 'splice', key: parts[0], index: +parts[1], remove: 1 } };
+  }
+
+  return { scope: key, change: { action: 'remove', key: key } };
+}
+
+// The change putting `value` at `key`: inserted when `key` is an array
+// index, set otherwise. An index can be at most the array's length, once
+// the `taken` elements moving out of it are gone.
+function placeAt(glue, key, value, taken) {
+  var parts  = splitKey(key),
+      parent = glue.lookup(parts[0]);
+
+  if (parent === null || typeof parent !== 'object') {
+    throw new Error('Cannot put a value at "' + key + '": "' + parts[0] + '" is not an object or array');
+  }
+
+  if (utils.isArray(parent) && +parts[1] > parent.length - (taken || 0)) {
+    throw new Error('Cannot put a value at "' + key + '": it is past the end of "' + parts[0] + '"');
   }
 
+  if (utils.isArray(parent)) {
+    return { scope: parts[0], change: { action: 'splice', key: parts[0], index: +parts[1], remove: 0, items: [value] } };
+  }
+
+  return { scope: key, change: { action: 'set', key: key, value: value } };
+}
+
+// Usage:
+// glue.undo();
+//
+// Reverts the most recent step in the history: one operation, or everything
+// made inside one transaction. Needs the `history` option; without it this
+// does nothing.
+Glue.prototype.undo = function() {
+  if (this._history) this._history.undo();
+
+  return this;
+};
+
+// Usage:
+// glue.redo();
+Glue.prototype.redo = function() {
+  if (this._history) this._history.redo();
+
+  return this;
+};
+
+// Usage:
+// glue.canUndo();
+Glue.prototype.canUndo = function() {
+  return !!this._history && this._history.canUndo();
+};
+
+// Usage:
+// glue.canRedo();
+Glue.prototype.canRedo = function() {
+  return !!this._history && this._history.canRedo();
+};
+
+// Usage:
+// glue.undoLabel();
+//
+// The label of the step undo would revert, or undefined.
+Glue.prototype.undoLabel = function() {
+  return this._history ? this._history.undoLabel() : undefined;
+};
+
+// Usage:
+// glue.redoLabel();
+Glue.prototype.redoLabel = function() {
+  return this._history ? this._history.redoLabel() : undefined;
+};
+
+// Usage:
+// glue.transaction([label], fn);
+//
+// Runs fn as a batch whose mutations are undone and redone together, as a
+// single step named `label`.
+Glue.prototype.transaction = function(label, fn) {
+  if (typeof label === 'function') {
+    fn = label;
+    label = undefined;
+  }
+
+  if (!this._history) return this.batch(fn);
+
+  this._history.transaction(label, fn);
+
+  return this;
+};
+
+// Usage:
+// glue.clearHistory();
+Glue.prototype.clearHistory = function() {
+  if (this._history) this._history.clear();
+
+  return this;
+};
+
+// Usage:
+// glue.readonly([key]);
+//
+// Returns a view of the value at key that can be read and observed like the
+// proxy, but throws a GlueReadonlyError on any write. Observer keys are
+// relative to key, and observers are given read-only values.
+Glue.prototype.readonly = function(key) {
+  key = key || '';
+
+  return readonlyValue(this, this.lookup(key), key, true, true);
+};
+
+// Usage:
+// glue.scope(key);
+//
+// Returns a lens on the subtree at key: a Glue-like object whose methods take
+// keys relative to it and go through this instance, so observers on either
+// side hear about changes made on the other. Keys are resolved on every
+// call, so a scope keeps working when the subtree is replaced.
+Glue.prototype.scope = function(key) {
+  return new Scope(this, key);
+};
+
+function Scope(glue, path) {
+  this.glue = glue;
+  this.path = keyFor(Glue.pathSegments(path || ''));
+}
+
+// The value at the scope's key.
+Object.defineProperty(Scope.prototype, 'target', {
+  get: function() {
+    return this.glue.lookup(this.path);
+  }
+});
+
+// Not in the public API.
+Scope.prototype.lookup = function(key) {
+  return this.glue.lookup(scopedKey(this.path, key));
+};
+
+Scope.prototype.get = function(key) {
+  return this.glue.get(scopedKey(this.path, key));
+};
+
+Scope.prototype.set = function(key, value) {
+  this.glue.set(scopedKey(this.path, key), value);
+  return this;
+};
+
+Scope.prototype.remove = function(key) {
+  return this.glue.remove(scopedKey(this.path, key));
+};
+
+Scope.prototype.push = function() {
+  var key = arguments.length === 1 ? '' : arguments[0];
+
+  this.glue.push(scopedKey(this.path, key), arguments[arguments.length - 1]);
+  return this;
+};
+
+Scope.prototype.insert = function() {
+  var a = utils.toArray(arguments);
+
+  this.glue.insert(scopedKey(this.path, a.length < 3 ? '' : a.shift()), a[0], a[1]);
+  return this;
+};
+
+utils.each(['pop', 'shift', 'reverse'], function(method) {
+  Scope.prototype[method] = function(key) {
+    return this.glue[method](scopedKey(this.path, key));
+  };
+});
+
+utils.each(['unshift', 'splice', 'fill'], function(method) {
+  Scope.prototype[method] = function() {
+    var a      = arrayArguments(this, arguments),
+        result = this.glue[method].apply(this.glue, [scopedKey(this.path, a.key)].concat(a.rest));
+
+    return result === this.glue ? this : result;
+  };
+});
+
+utils.each(['filter', 'sortBy'], function(method) {
+  Scope.prototype[method] = function() {
+    var key = arguments.length < 2 ? '' : arguments[0];
+
+    this.glue[method](scopedKey(this.path, key), arguments[arguments.length - 1]);
+    return this;
+  };
+});
+
+utils.each(['swap', 'move', 'rename', 'copy'], function(method) {
+  Scope.prototype[method] = function(from, to) {
+    this.glue[method](scopedKey(this.path, from), scopedKey(this.path, to));
+    return this;
+  };
+});
+
+Scope.prototype.computed = function(key, fn) {
+  this.glue.computed(scopedKey(this.path, key), fn);
+  return this;
+};
+
+// Observers registered through a scope are given paths and keys relative to
+// it, and the scope as their target.
+Scope.prototype.addObserver = function() {
+  addScopedObserver(this.glue, this.path, this, arguments);
+  return this;
+};
+
+Scope.prototype.removeObserver = function() {
+  removeScopedObserver(this.glue, this.path, arguments);
+  return this;
+};
+
+Scope.prototype.batch = function(fn) {
+  this.glue.batch(fn);
+  return this;
+};
+
+Scope.prototype.scope = function(key) {
+  return new Scope(this.glue, scopedKey(this.path, key));
+};
+
+Scope.prototype.readonly = function(key) {
+  return this.glue.readonly(scopedKey(this.path, key));
+};
+
+// The key for `key` inside `path`.
+function scopedKey(path, key) {
+  if (!key) return path;
+  if (!path) return key;
+
+  return key.charAt(0) === '[' ? path + key : path + '.' + key;
+}
+
+// Observer keys (with operations) inside `path`, where '*' is all of it.
+function scopedKeys(path, k) {
+  var ko   = Glue.keysAndOperations(k || ''),
+      keys = utils.map(ko[0], function(key) {
+        return scopedKey(path, key === '*' ? '' : key) || '*';
+      }).join(',');
+
+  return ko[1].length ? keys + ':' + ko[1].join(',') : keys;
+}
+
+// `key` relative to `path`; '' for path itself and anything outside it.
+function relativeKey(path, key) {
+  if (!path) return key;
+  if (key.indexOf(path) !== 0) return '';
+
+  var rest = key.slice(path.length);
+
+  if (rest.charAt(0) === '.') return rest.slice(1);
+  if (rest.charAt(0) === '[') return rest;
+
+  return '';
+}
+
+// Adds an observer for keys relative to `path` on behalf of `owner`, a scope
+// or read-only view, taking addObserver's arguments.
+function addScopedObserver(glue, path, owner, args, values) {
+  var a       = utils.toArray(args),
+      options = {};
+
+  if (a.length > 1 && typeof a[a.length - 1] !== 'function' && typeof a[a.length - 2] === 'function') {
+    options = a.pop() || {};
+  }
+
+  var callback = a.pop(),
+      key      = utils.isString(a[0]) ? a.shift() : '',
+      context  = a.length ? a[0] : owner;
+
+  if (values && !options.values) options = utils.extend({}, options, { values: values });
+
+  var wrapper = function(message) {
+    var scoped = utils.extend({}, message);
+
+    scoped.path = relativeKey(path, message.path);
+    scoped.key = relativeKey(path, message.key) || '*';
+    Object.defineProperty(scoped, 'target', { value: owner });
+
+    return callback.call(this, scoped);
+  };
+
+  wrapper.observer = callback;
+
+  glue.addObserver(scopedKeys(path, key), context, wrapper, options);
+}
+
+function removeScopedObserver(glue, path, args) {
+  var a   = utils.toArray(args),
+      key = utils.isString(a[0]) ? a.shift() : '';
+
+  glue.removeObserver.apply(glue, [scopedKeys(path, key)].concat(a));
+}
+
+// Usage:
+// glue.computed(key, fn);
+//
+// Keeps `key` set to the result of fn. Every key fn reads through get (or
+// through the proxy) becomes a dependency, and the dependencies are recorded
+// again on each evaluation. When one changes, the value is recomputed right
+// away if anything observes `key`, and otherwise on its next read.
+Glue.prototype.computed = function(key, fn) {
+  this._computed = this._computed || {};
+
+  if (this._computed[key]) this._computed[key].dispose();
+
+  this._computed[key] = new Computed(this, key, fn);
+  this._computed[key].evaluate();
+
   return this;
 };
 
+// Not in the public API.
+//
+// Brings stale computed values that overlap `key` up to date before it's read.
+Glue.prototype.refresh = function(key) {
+  if (!this._computed) return;
+
+  var segments = Glue.pathSegments(key);
+
+  utils.each(this._computed, function(computed) {
+    if (computed.dirty && overlaps(Glue.pathSegments(computed.key), segments)) computed.evaluate();
+  });
+};
+
+// Not in the public API.
+//
+// Records a read for the computed property being evaluated, if any. A
+// traversal is a read made only to reach something deeper, like `cart` in
+// `data.cart.total`; it's dropped once a deeper read is recorded.
+Glue.prototype.track = function(key, traversal) {
+  var frame = TRACKING[TRACKING.length - 1];
+
+  if (!frame || frame.glue !== this) return;
+
+  frame.reads[key] = frame.reads[key] === false ? false : !!traversal;
+};
+
+function Computed(glue, key, fn) {
+  this.glue = glue;
+  this.key = key;
+  this.fn = fn;
+  this.dependencies = [];
+  this.dirty = false;
+  this.writing = false;
+}
+
+Computed.prototype.evaluate = function() {
+  var frame = { glue: this.glue, reads: {} },
+      value;
+
+  TRACKING.push(frame);
+
+  try {
+    value = this.fn();
+  } finally {
+    TRACKING.pop();
+  }
+
+  this.dirty = false;
+  this.evaluatedIn = this.glue._dispatch;
+  this.subscribe(dependencies(frame.reads, this.key));
+
+  // Writing the result notifies ancestors of `key`, which may be
+  // dependencies themselves.
+  this.writing = true;
+
+  try {
+    this.glue.set(this.key, value);
+  } finally {
+    this.writing = false;
+  }
+};
+
+Computed.prototype.invalidate = function() {
+  if (this.writing) return;
+
+  // Several dependencies changing in one notification pass (a batch, or a
+  // deferred flush) only need one evaluation.
+  if (this.evaluatedIn && this.evaluatedIn === this.glue._dispatch) return;
+
+  if (this.glue.isObserved(Glue.pathSegments(this.key), this)) {
+    this.evaluate();
+  } else {
+    this.dirty = true;
+  }
+};
+
+Computed.prototype.subscribe = function(keys) {
+  var self = this;
+
+  utils.each(utils.difference(this.dependencies, keys), function(key) {
+    self.glue.removeObserver(key, self);
+  });
+
+  utils.each(utils.difference(keys, this.dependencies), function(key) {
+    self.glue.addObserver(key, self, self.invalidate);
+  });
+
+  this.dependencies = keys;
+};
+
+Computed.prototype.dispose = function() {
+  this.subscribe([]);
+};
+
+// The keys a computed property depends on: everything it read except its
+// own key, and except traversals that led to a deeper read.
+function dependencies(reads, key) {
+  var own  = Glue.pathSegments(key),
+      keys = utils.keys(reads);
+
+  return utils.filter(keys, function(read) {
+    var segments = Glue.pathSegments(read);
+
+    if (isPrefix(own, segments)) return false;
+    if (!reads[read]) return true;
+
+    return !utils.some(keys, function(other) {
+      return other !== read && isPrefix(segments, Glue.pathSegments(other));
+    });
+  });
+}
+
 // Add cleanup method to prevent memory leaks
 Glue.prototype.destroy = function() {
   this.resetListeners();
+  this._computed = null;
+  this._history = null;
+  this._recorders = null;
+  this._proxy = null;
   
   // Clean global events for this instance
   var self = this;
@@ -576,6 +2874,12 @@ Glue.prototype.destroy = function() {
   });
 };
 
+require('./patch')(Glue);
+require('./persist')(Glue);
+require('./debug')(Glue);
+require('./devtools')(Glue);
+require('./graph')(Glue);
+
 // Proxy-enhanced constructor that returns natural JavaScript API when possible
 function ModernGlue(target, options = {}) {
   // Feature detection for Proxy support
@@ -583,15 +2887,18 @@ function ModernGlue(target, options = {}) {
   const useProxy = options.useProxy !== false && hasProxySupport;
   
   // Create traditional Glue instance
-  const glue = new Glue(target);
+  const glue = new Glue(target, options);
   
   // Don't use proxy for non-objects or null values
   if (!useProxy || target == null || typeof target !== 'object') {
     return glue; // Return traditional instance
   }
   
-  // Return Proxy-enhanced version for natural JavaScript syntax
-  return createProxyGlue(glue, glue.target, '');
+  // Return Proxy-enhanced version for natural JavaScript syntax. Messages
+  // hand observers the proxy as their target.
+  glue._proxy = createProxyGlue(glue, glue.target, '');
+
+  return glue._proxy;
 }
 
 function createProxyGlue(glue, obj, path) {
@@ -602,15 +2909,15 @@ function createProxyGlue(glue, obj, path) {
         return target[property];
       }
       
-      const value = target[property];
       const fullPath = path ? `${path}.${String(property)}` : String(property);
       
-      // If it's a glue property or method, return it from glue instance
-      if (property in glue) {
+      // Glue's own properties and methods are only on the root: below it,
+      // fields named like them (options, copy, scope) are the user's data
+      if (path === '' && property in glue) {
         const glueProperty = glue[property];
         if (typeof glueProperty === 'function') {
           // For methods that return 'this', return the proxy instead
-          const methodNames = ['set', 'push', 'pop', 'insert', 'filter', 'sortBy', 'swap', 'remove', 'addObserver', 'removeObserver'];
+          const methodNames = ['set', 'push', 'pop', 'insert', 'unshift', 'filter', 'sortBy', 'swap', 'remove', 'addObserver', 'removeObserver', 'batch', 'flush', 'computed', 'undo', 'redo', 'transaction', 'clearHistory', 'onPatch', 'offPatch', 'applyPatch', 'applyMergePatch', 'move', 'rename', 'copy', 'intercept', 'removeInterceptor'];
           if (methodNames.includes(property)) {
             return function(...args) {
               const result = glueProperty.apply(glue, args);
@@ -623,6 +2930,14 @@ function createProxyGlue(glue, obj, path) {
         }
       }
       
+      // Bring stale computed values up to date and record the read for
+      // any computed property being evaluated
+      glue.refresh(fullPath);
+      
+      const value = target[property];
+      
+      glue.track(fullPath, value !== null && typeof value === 'object');
+      
       // If it's an array, proxy it to intercept array methods
       if (Array.isArray(value)) {
         return createArrayProxy(glue, value, fullPath);
@@ -652,14 +2967,10 @@ function createProxyGlue(glue, obj, path) {
       
       const fullPath = path ? `${path}.${String(property)}` : String(property);
       
-      // Create old target clone before modification (like glue.js does)
-      const oldTargetClone = Glue.deepClone(glue.target);
-      
-      // Set the value
-      target[property] = value;
-      
-      // Trigger observers using glue's notification system
-      glue.notify('set', fullPath, oldTargetClone);
+      // Write through glue so the change is snapshotted, recorded and notified
+      glue.perform('set', fullPath, fullPath, [
+        { action: 'set', key: fullPath, object: target, property: property, value: value }
+      ]);
       
       return true;
     },
@@ -669,9 +2980,9 @@ function createProxyGlue(glue, obj, path) {
       const hadProperty = property in target;
       
       if (hadProperty) {
-        const oldTargetClone = Glue.deepClone(glue.target);
-        delete target[property];
-        glue.notify('remove', fullPath, oldTargetClone);
+        glue.perform('remove', fullPath, fullPath, [
+          { action: 'remove', key: fullPath, object: target, property: property }
+        ]);
       }
       
       return true;
@@ -682,7 +2993,16 @@ function createProxyGlue(glue, obj, path) {
 }
 
 function createArrayProxy(glue, array, path) {
-  return new Proxy(array, {
+  // Every mutating method is one splice of the array, returning what it removed
+  function splice(operation, index, remove, items) {
+    const inverses = glue.perform(operation, path, path, [
+      { action: 'splice', key: path, object: array, index: index, remove: remove, items: items }
+    ]);
+    
+    return inverses.length ? inverses[0].items : [];
+  }
+  
+  const proxy = new Proxy(array, {
     get(target, property) {
       const value = target[property];
       
@@ -691,64 +3011,55 @@ function createArrayProxy(glue, array, path) {
         switch (property) {
           case 'push':
             return function(...items) {
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.push.apply(target, items);
-              glue.notify('push', path, oldTargetClone);
-              return result;
+              splice('push', target.length, 0, items);
+              return target.length;
             };
             
           case 'pop':
             return function() {
               if (target.length === 0) return undefined;
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.pop.apply(target);
-              glue.notify('pop', path, oldTargetClone);
-              return result;
+              return splice('pop', target.length - 1, 1, [])[0];
             };
             
           case 'shift':
             return function() {
               if (target.length === 0) return undefined;
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.shift.apply(target);
-              glue.notify('shift', path, oldTargetClone);
-              return result;
+              return splice('shift', 0, 1, [])[0];
             };
             
           case 'unshift':
             return function(...items) {
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.unshift.apply(target, items);
-              glue.notify('unshift', path, oldTargetClone);
-              return result;
+              splice('unshift', 0, 0, items);
+              return target.length;
             };
             
           case 'splice':
             return function(start, deleteCount, ...items) {
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.splice.apply(target, arguments);
-              glue.notify('splice', path, oldTargetClone);
-              return result;
+              if (arguments.length === 0) return [];
+              return splice('splice', start, arguments.length === 1 ? Infinity : deleteCount, items);
             };
             
-          case 'sort':
-            return function(compareFn) {
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.sort.apply(target, arguments);
-              glue.notify('sort', path, oldTargetClone);
-              return result;
+          case 'fill':
+            return function(item, start, end) {
+              const from = spliceIndex(start, target.length),
+                    to   = end === undefined ? target.length : spliceIndex(end, target.length);
+              
+              if (to > from) splice('fill', from, to - from, new Array(to - from).fill(item));
+              return proxy;
             };
             
+          // Reordering is worked out on a copy, then written back in place
+          case 'sort':
           case 'reverse':
             return function() {
-              const oldTargetClone = Glue.deepClone(glue.target);
-              const result = Array.prototype.reverse.apply(target);
-              glue.notify('reverse', path, oldTargetClone);
-              return result;
+              const reordered = Array.prototype[property].apply(target.slice(), arguments);
+              splice(property, 0, target.length, reordered);
+              return proxy;
             };
             
-          // Non-mutating methods - return as-is
+          // Non-mutating methods - return as-is, reading the whole array
           default:
+            glue.track(path);
             return value;
         }
       }
@@ -758,7 +3069,14 @@ function createArrayProxy(glue, array, path) {
         const index = parseInt(property);
         const element = target[index];
         
-        if (element && typeof element === 'object' && !Array.isArray(element)) {
+        glue.track(`${path}[${index}]`, element !== null && typeof element === 'object');
+        
+        // Arrays of arrays (grids, tuples) are proxied all the way down
+        if (Array.isArray(element)) {
+          return createArrayProxy(glue, element, `${path}[${index}]`);
+        }
+        
+        if (element && typeof element === 'object') {
           return createProxyGlue(glue, element, `${path}[${index}]`);
         }
         
@@ -766,6 +3084,8 @@ function createArrayProxy(glue, array, path) {
       }
       
       // Other array properties (length, etc.)
+      if (property === 'length') glue.track(path);
+      
       return value;
     },
     
@@ -773,19 +3093,143 @@ function createArrayProxy(glue, array, path) {
       // Handle array index assignment
       if (typeof property === 'string' && /^\d+$/.test(property)) {
         const index = parseInt(property);
-        const oldTargetClone = Glue.deepClone(glue.target);
-        target[index] = value;
-        glue.notify('set', `${path}[${index}]`, oldTargetClone);
+        const key = `${path}[${index}]`;
+        glue.perform('set', key, key, [
+          { action: 'set', key: key, object: target, property: index, value: value }
+        ]);
+        return true;
+      }
+      
+      // Shortening the array removes elements, which a splice can put back
+      if (property === 'length' && value < target.length) {
+        splice('set', value, Infinity, []);
         return true;
       }
       
       // Handle other properties (shouldn't normally happen on arrays)
-      const oldTargetClone = Glue.deepClone(glue.target);
-      target[property] = value;
-      glue.notify('set', path, oldTargetClone);
+      glue.perform('set', path, path, [
+        { action: 'set', key: path, object: target, property: property, value: value }
+      ]);
       return true;
     }
   });
+  
+  return proxy;
+}
+
+// Glue methods that write, refused by read-only views
+const READONLY_REFUSED = ['set', 'remove', 'push', 'pop', 'shift', 'unshift', 'splice', 'reverse', 'fill', 'insert', 'filter', 'sortBy', 'swap', 'move', 'rename', 'copy', 'computed', 'undo', 'redo', 'transaction', 'clearHistory', 'applyPatch', 'applyMergePatch', 'intercept', 'removeInterceptor', 'destroy'];
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+function readonlyError(message, path) {
+  const error = new Error(`${message}: this view is read-only`);
+  error.name = 'GlueReadonlyError';
+  error.path = path;
+  return error;
+}
+
+// Objects and arrays come back as read-only views; built-ins whose state a
+// proxy can't reach (Dates, Maps, Sets...) as copies. Live views read
+// through glue and can observe; the others are views of plain data. Only a
+// root view (the one readonly() returns) has glue's methods, so the data
+// below it can have fields with the same names.
+function readonlyValue(glue, value, path, live, root) {
+  if (value === null || typeof value !== 'object') return value;
+  
+  if (value instanceof Date || value instanceof Map || value instanceof Set || value instanceof RegExp ||
+      value instanceof Promise || value instanceof WeakMap || value instanceof WeakSet || ArrayBuffer.isView(value)) {
+    return glue.cloneValue(value);
+  }
+  
+  return createReadonlyProxy(glue, value, path, live, root);
+}
+
+function createReadonlyProxy(glue, obj, path, live, root) {
+  const isArray = Array.isArray(obj);
+  
+  function childPath(property) {
+    if (typeof property === 'symbol') return path;
+    if (isArray && /^\d+$/.test(property)) return `${path}[${property}]`;
+    return path ? `${path}.${property}` : property;
+  }
+  
+  const api = live && root && {
+    get(key) {
+      const full = scopedKey(path, key);
+      return readonlyValue(glue, glue.get(full), full, true);
+    },
+    
+    readonly(key) {
+      return glue.readonly(scopedKey(path, key));
+    },
+    
+    addObserver(...args) {
+      addScopedObserver(glue, path, proxy, args, 'readonly');
+      return proxy;
+    },
+    
+    removeObserver(...args) {
+      removeScopedObserver(glue, path, args);
+      return proxy;
+    }
+  };
+  
+  const proxy = new Proxy(obj, {
+    get(target, property) {
+      if (typeof property === 'symbol') {
+        return target[property];
+      }
+      
+      if (api && Object.prototype.hasOwnProperty.call(api, property)) {
+        return api[property];
+      }
+      
+      if (isArray ? ARRAY_MUTATORS.includes(property) : api && READONLY_REFUSED.includes(property)) {
+        return function() {
+          throw readonlyError(`Cannot call ${property}${path ? ` on "${path}"` : ''}`, path);
+        };
+      }
+      
+      const fullPath = childPath(property);
+      
+      if (!live) return readonlyValue(glue, target[property], fullPath, false);
+      
+      if (isArray && !/^\d+$/.test(property)) {
+        glue.track(path);
+        return target[property];
+      }
+      
+      glue.refresh(fullPath);
+      
+      const value = target[property];
+      
+      glue.track(fullPath, value !== null && typeof value === 'object');
+      
+      return readonlyValue(glue, value, fullPath, true);
+    },
+    
+    set(target, property) {
+      throw readonlyError(`Cannot set "${childPath(property)}"`, childPath(property));
+    },
+    
+    deleteProperty(target, property) {
+      throw readonlyError(`Cannot delete "${childPath(property)}"`, childPath(property));
+    },
+    
+    defineProperty(target, property) {
+      throw readonlyError(`Cannot define "${childPath(property)}"`, childPath(property));
+    },
+    
+    setPrototypeOf() {
+      throw readonlyError(`Cannot change the prototype${path ? ` of "${path}"` : ''}`, path);
+    },
+    
+    preventExtensions() {
+      throw readonlyError(`Cannot freeze${path ? ` "${path}"` : ''}`, path);
+    }
+  });
+  
+  return proxy;
 }
 
 // Add static methods to ModernGlue
@@ -793,6 +3237,20 @@ ModernGlue.version = Glue.version;
 ModernGlue.deepClone = Glue.deepClone;
 ModernGlue.baseKey = Glue.baseKey;
 ModernGlue.permutateKey = Glue.permutateKey;
+ModernGlue.schedulers = Glue.schedulers;
+ModernGlue.pointer = Glue.pointer;
+ModernGlue.CANCEL = Glue.CANCEL;
+ModernGlue.storage = Glue.storage;
+ModernGlue.Persistence = Glue.Persistence;
+ModernGlue.Debugger = Glue.Debugger;
+ModernGlue.DevTools = Glue.DevTools;
+
+// Glue.onError is set on whichever constructor callers have, so both share it.
+Object.defineProperty(ModernGlue, 'onError', {
+  enumerable: true,
+  get: () => Glue.onError,
+  set: (onError) => { Glue.onError = onError; }
+});
 ModernGlue.hasProxySupport = typeof Proxy !== 'undefined';
 ModernGlue.getMode = function(options = {}) {
   const useProxy = options.useProxy !== false && ModernGlue.hasProxySupport;
@@ -0,0 +1,98 @@
+// Observer graph export.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Adds observerGraph to Glue.
+module.exports = function(Glue) {
+
+  // Usage:
+  // glue.observerGraph(['dot' | 'mermaid']);
+  //
+  // Draws the observers as a graph, in Graphviz DOT (the default) or Mermaid:
+  // each observed key points to its observers (labelled with their operation
+  // filters), and each observer to the keys it has written to. Writes are
+  // learned as observers run, so the graph fills in as the app is used.
+  Glue.prototype.observerGraph = function(format) {
+    var render = renderers[format || 'dot'];
+
+    if (!render) throw new Error('Unknown graph format "' + format + '", expected "dot" or "mermaid"');
+
+    var keys      = {},
+        keyNodes  = [],
+        observers = [],
+        edges     = [];
+
+    function keyNode(key) {
+      if (!(key in keys)) {
+        keys[key] = 'k' + keyNodes.length;
+        keyNodes.push({ id: keys[key], label: key });
+      }
+
+      return keys[key];
+    }
+
+    utils.each(this.describeObservers(), function(observer, i) {
+      var id  = 'o' + i,
+          key = observer.generic ? observer.key : Glue.keyFor(Glue.pathSegments(observer.key)) || '*';
+
+      observers.push({ id: id, label: observer.computed ? 'computed ' + observer.computed : observer.callback });
+      edges.push({ from: keyNode(key), to: id, label: observer.operations.join(',') });
+
+      utils.each(observer.writes, function(written) {
+        edges.push({ from: id, to: keyNode(written || '*') });
+      });
+    });
+
+    return render(keyNodes, observers, edges);
+  };
+
+  var renderers = {
+    dot: function(keyNodes, observers, edges) {
+      var lines = ['digraph observers {', '  rankdir=LR;'];
+
+      utils.each(keyNodes, function(node) {
+        lines.push('  ' + node.id + ' [label=' + quote(node.label) + ', shape=box];');
+      });
+
+      utils.each(observers, function(node) {
+        lines.push('  ' + node.id + ' [label=' + quote(node.label) + ', shape=ellipse];');
+      });
+
+      utils.each(edges, function(edge) {
+        lines.push('  ' + edge.from + ' -> ' + edge.to + (edge.label ? ' [label=' + quote(edge.label) + ']' : '') + ';');
+      });
+
+      lines.push('}');
+
+      return lines.join('\n');
+    },
+
+    mermaid: function(keyNodes, observers, edges) {
+      var lines = ['flowchart LR'];
+
+      utils.each(keyNodes, function(node) {
+        lines.push('  ' + node.id + '[' + mermaidLabel(node.label) + ']');
+      });
+
+      utils.each(observers, function(node) {
+        lines.push('  ' + node.id + '([' + mermaidLabel(node.label) + '])');
+      });
+
+      utils.each(edges, function(edge) {
+        lines.push('  ' + edge.from + ' -->' + (edge.label ? '|' + mermaidLabel(edge.label) + '|' : '') + ' ' + edge.to);
+      });
+
+      return lines.join('\n');
+    }
+  };
+};
+
+function quote(label) {
+  return '"' + String(label).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+function mermaidLabel(label) {
+  return '"' + String(label).replace(/"/g, '#quot;') + '"';
+}
@@ -0,0 +1,154 @@
+// Undo/redo history for a Glue instance.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Usage:
+// new History(glue, [options]);
+//
+// Records every operation glue reports, along with the changes that undo it.
+// Each step in the history is one operation, or everything made inside a
+// transaction; changes observers make while a step is being dispatched
+// belong to that step. options.maxDepth caps how many steps are kept
+// (defaults to History.maxDepth).
+var History = function(glue, options) {
+  var self = this;
+
+  this.glue = glue;
+  this.maxDepth = (options && options.maxDepth) || History.maxDepth;
+  this.group = null;
+  this.replaying = false;
+  this.clear();
+
+  glue.addRecorder(function(entry) {
+    self.record(entry);
+  });
+};
+
+History.maxDepth = 100;
+
+History.prototype.clear = function() {
+  this.undoStack = [];
+  this.redoStack = [];
+};
+
+History.prototype.record = function(entry) {
+  // Computed values follow their dependencies, and replays are the history
+  // itself at work.
+  if (this.replaying || entry.computed || entry.source) return;
+
+  this.redoStack = [];
+
+  if (this.group) {
+    this.group.entries.push(entry);
+  } else if (entry.nested && this.undoStack.length) {
+    this.undoStack[this.undoStack.length - 1].entries.push(entry);
+  } else {
+    this.push({ label: labelFor(entry), entries: [entry] });
+  }
+};
+
+History.prototype.push = function(step) {
+  this.undoStack.push(step);
+
+  if (this.undoStack.length > this.maxDepth) {
+    this.undoStack.splice(0, this.undoStack.length - this.maxDepth);
+  }
+};
+
+History.prototype.transaction = function(label, fn) {
+  // A transaction inside another one is part of the outer step.
+  if (this.group) {
+    this.glue.batch(fn);
+    return;
+  }
+
+  var group = this.group = { label: label, entries: [] };
+
+  try {
+    this.glue.batch(fn);
+  } finally {
+    this.group = null;
+
+    if (group.entries.length) {
+      if (utils.isUndefined(group.label)) group.label = labelFor(group.entries[0]);
+      this.push(group);
+    }
+  }
+};
+
+// Drops entries that were rolled back before their step was complete.
+History.prototype.forget = function(entries) {
+  if (this.group) this.group.entries = utils.difference(this.group.entries, entries);
+};
+
+History.prototype.undo = function() {
+  if (this.group) throw new Error('Cannot undo inside a transaction');
+
+  var step = this.undoStack.pop();
+
+  if (!step) return;
+
+  var changes = [];
+
+  utils.each(step.entries.slice().reverse(), function(entry) {
+    changes = changes.concat(entry.inverses.slice().reverse());
+  });
+
+  this.replay(changes, 'undo');
+  this.redoStack.push(step);
+};
+
+History.prototype.redo = function() {
+  if (this.group) throw new Error('Cannot redo inside a transaction');
+
+  var step = this.redoStack.pop();
+
+  if (!step) return;
+
+  var changes = [];
+
+  utils.each(step.entries, function(entry) {
+    changes = changes.concat(entry.changes);
+  });
+
+  this.replay(changes, 'redo');
+  this.push(step);
+};
+
+History.prototype.replay = function(changes, source) {
+  this.replaying = true;
+
+  try {
+    this.glue.replay(changes, source);
+  } finally {
+    this.replaying = false;
+  }
+};
+
+History.prototype.canUndo = function() {
+  return this.undoStack.length > 0;
+};
+
+History.prototype.canRedo = function() {
+  return this.redoStack.length > 0;
+};
+
+History.prototype.undoLabel = function() {
+  var step = this.undoStack[this.undoStack.length - 1];
+  return step && step.label;
+};
+
+History.prototype.redoLabel = function() {
+  var step = this.redoStack[this.redoStack.length - 1];
+  return step && step.label;
+};
+
+// Steps made outside a transaction are named after their operation, like
+// 'set user.name'.
+function labelFor(entry) {
+  return (entry.operation + ' ' + entry.key).trim();
+}
+
+module.exports = History;
@@ -0,0 +1,326 @@
+// JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) support.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Adds onPatch, offPatch, applyPatch and applyMergePatch to Glue.
+module.exports = function(Glue) {
+
+  // Usage:
+  // glue.onPatch(callback);
+  //
+  // Calls callback with the JSON Patch operations describing every mutation,
+  // as it happens. Undo, redo and changes made by observers are included.
+  Glue.prototype.onPatch = function(callback) {
+    var recorder = function(entry) {
+      var operations = toOperations(entry);
+      if (operations.length) callback(operations);
+    };
+
+    recorder.patchCallback = callback;
+    this.addRecorder(recorder);
+
+    return this;
+  };
+
+  // Usage:
+  // glue.offPatch([callback]);
+  Glue.prototype.offPatch = function(callback) {
+    utils.each(this._recorders || [], function(recorder) {
+      if (recorder.patchCallback && (!callback || recorder.patchCallback === callback)) {
+        this.removeRecorder(recorder);
+      }
+    }, this);
+
+    return this;
+  };
+
+  // Usage:
+  // glue.applyPatch(operations);
+  //
+  // Applies JSON Patch operations through glue's own methods, as a single
+  // batch (and a single history step). When an operation fails, the ones
+  // before it are rolled back and a GluePatchError is thrown.
+  Glue.prototype.applyPatch = function(operations) {
+    var self    = this,
+        entries = [],
+        capture = function(entry) {
+          if (!entry.nested && !entry.source) entries.push(entry);
+        };
+
+    this.addRecorder(capture);
+
+    try {
+      this.transaction('applyPatch', function() {
+        try {
+          utils.each(operations, function(operation, index) {
+            applyOperation(self, operation, index);
+          });
+        } catch (error) {
+          rollback(self, entries);
+          throw error;
+        }
+      });
+    } finally {
+      this.removeRecorder(capture);
+    }
+
+    return this;
+  };
+
+  // Usage:
+  // glue.applyMergePatch(patch);
+  //
+  // Applies an RFC 7396 merge patch: objects are merged key by key, null
+  // removes a key, and anything else replaces what was there.
+  Glue.prototype.applyMergePatch = function(patch) {
+    var operations = [];
+
+    mergeOperations(this.lookup(''), patch, '', operations);
+
+    return this.applyPatch(operations);
+  };
+
+  // The JSON Pointer for a glue key: 'users[0].name' becomes '/users/0/name'.
+  Glue.pointer = function(key) {
+    return utils.map(Glue.pathSegments(key || ''), function(segment) {
+      return '/' + segment.replace(/~/g, '~0').replace(/\//g, '~1');
+    }).join('');
+  };
+
+  // The JSON Patch operations for a recorded operation.
+  function toOperations(entry) {
+    var operations = [];
+
+    utils.each(entry.changes, function(change, i) {
+      var inverse = entry.inverses[i],
+          path    = Glue.pointer(change.key);
+
+      if (change.action === 'remove') {
+        operations.push({ op: 'remove', path: path });
+      } else if (change.action === 'set' && change.property === 'length') {
+        // Growing an array through its length adds holes, which JSON spells null.
+        operations.push({ op: 'replace', path: path, value: Glue.deepClone(change.object) });
+      } else if (change.action === 'set' && inverse.property === 'length' && +change.property > inverse.value) {
+        // So does writing past the end, and an add there would be out of bounds.
+        operations.push({ op: 'replace', path: Glue.pointer(inverse.key), value: Glue.deepClone(change.object) });
+      } else if (change.action === 'set') {
+        var replaced = inverse.action === 'set' && inverse.property === change.property;
+
+        operations.push({ op: replaced ? 'replace' : 'add', path: path, value: Glue.deepClone(change.value) });
+      } else {
+        for (var r = 0; r < change.remove; r++) {
+          operations.push({ op: 'remove', path: path + '/' + change.index });
+        }
+
+        utils.each(change.items, function(item, k) {
+          operations.push({ op: 'add', path: path + '/' + (change.index + k), value: Glue.deepClone(item) });
+        });
+      }
+    });
+
+    return operations;
+  }
+
+  function applyOperation(glue, operation, index) {
+    var target = resolve(glue, operation, index, operation.path);
+
+    switch (operation.op) {
+      case 'add':
+        return add(glue, target, operation.value, operation, index);
+
+      case 'remove':
+        if (target.isRoot) throw patchError('cannot remove the root', operation, index);
+        requireExisting(target, operation.path, operation, index);
+        return glue.remove(target.key);
+
+      case 'replace':
+        requireExisting(target, operation.path, operation, index);
+        return target.isRoot ? replaceRoot(glue, operation.value, operation, index) : glue.set(target.key, operation.value);
+
+      case 'move':
+      case 'copy':
+        var from  = resolve(glue, operation, index, operation.from),
+            value = glue.lookup(from.key);
+
+        requireExisting(from, operation.from, operation, index);
+
+        if (operation.op === 'copy') return add(glue, target, Glue.deepClone(value), operation, index);
+
+        if (operation.path.indexOf(operation.from + '/') === 0) {
+          throw patchError('cannot move a value into itself', operation, index);
+        }
+
+        if (operation.path === operation.from) return;
+
+        glue.remove(from.key);
+        return add(glue, resolve(glue, operation, index, operation.path), value, operation, index);
+
+      case 'test':
+        if (!glue.equalValues(target.exists ? glue.lookup(target.key) : undefined, operation.value)) {
+          throw patchError('test failed', operation, index);
+        }
+        return;
+
+      default:
+        throw patchError('unknown operation "' + operation.op + '"', operation, index);
+    }
+  }
+
+  function add(glue, target, value, operation, index) {
+    if (target.isRoot) return replaceRoot(glue, value, operation, index);
+
+    if (!utils.isArray(target.parent)) return glue.set(target.key, value);
+
+    if (target.property === '-' || +target.property === target.parent.length) {
+      return glue.push(target.parentKey, value);
+    }
+
+    if (+target.property > target.parent.length) throw patchError('index out of bounds', operation, index);
+
+    return glue.insert(target.parentKey, +target.property, value);
+  }
+
+  // The root can't be swapped out from under glue, so replacing it rewrites
+  // its contents instead.
+  function replaceRoot(glue, value, operation, index) {
+    var root = glue.lookup('');
+
+    if (utils.isArray(root) && utils.isArray(value)) {
+      return glue.perform('set', '', '', [
+        { action: 'splice', key: '', index: 0, remove: root.length, items: value }
+      ]);
+    }
+
+    if (!isObject(root) || !isObject(value)) {
+      throw patchError('cannot replace the root with a different type', operation, index);
+    }
+
+    utils.each(utils.keys(root), function(key) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) glue.remove(key);
+    });
+
+    utils.each(value, function(v, key) {
+      glue.set(key, v);
+    });
+  }
+
+  // Works out the glue key for a pointer, and what's there.
+  function resolve(glue, operation, index, pointer) {
+    if (!utils.isString(pointer) || (pointer !== '' && pointer.charAt(0) !== '/')) {
+      throw patchError('invalid path "' + pointer + '"', operation, index);
+    }
+
+    if (pointer === '') return { isRoot: true, key: '', exists: true };
+
+    var tokens    = utils.map(pointer.slice(1).split('/'), unescape),
+        parentKey = '',
+        parent    = glue.lookup('');
+
+    utils.each(tokens, function(token, i) {
+      var last = i === tokens.length - 1;
+
+      if (token === '' || token === '*' || /[.\[\],:\s]/.test(token)) {
+        throw patchError('"' + token + '" can\'t be expressed as a glue key', operation, index);
+      }
+
+      if (parent === null || typeof parent !== 'object') {
+        throw patchError('path "' + pointer + '" does not exist', operation, index);
+      }
+
+      if (utils.isArray(parent) && !/^(\d+|-)$/.test(token)) {
+        throw patchError('invalid array index "' + token + '"', operation, index);
+      }
+
+      if (last) return;
+
+      parentKey = childKey(parentKey, parent, token);
+      parent = parent[token];
+    });
+
+    var property = tokens[tokens.length - 1];
+
+    return {
+      key: childKey(parentKey, parent, property),
+      parentKey: parentKey,
+      parent: parent,
+      property: property,
+      exists: Object.prototype.hasOwnProperty.call(parent, property)
+    };
+  }
+
+  function childKey(parentKey, parent, token) {
+    if (utils.isArray(parent)) return parentKey + '[' + token + ']';
+    return parentKey ? parentKey + '.' + token : token;
+  }
+
+  function unescape(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  function requireExisting(target, pointer, operation, index) {
+    if (!target.exists) throw patchError('path "' + pointer + '" does not exist', operation, index);
+  }
+
+  // Puts back everything an applyPatch call had changed before it failed.
+  function rollback(glue, entries) {
+    var inverses = [];
+
+    utils.each(entries.slice().reverse(), function(entry) {
+      inverses = inverses.concat(entry.inverses.slice().reverse());
+    });
+
+    if (glue._history) glue._history.forget(entries);
+
+    glue.replay(inverses, 'rollback');
+  }
+
+  function mergeOperations(target, patch, pointer, operations) {
+    if (!isObject(patch) || !isObject(target)) {
+      operations.push({ op: 'replace', path: pointer, value: withoutNulls(patch) });
+      return;
+    }
+
+    utils.each(patch, function(value, key) {
+      var path = pointer + '/' + key.replace(/~/g, '~0').replace(/\//g, '~1'),
+          has  = Object.prototype.hasOwnProperty.call(target, key);
+
+      if (value === null) {
+        if (has) operations.push({ op: 'remove', path: path });
+      } else if (isObject(value) && has && isObject(target[key])) {
+        mergeOperations(target[key], value, path, operations);
+      } else {
+        operations.push({ op: has ? 'replace' : 'add', path: path, value: withoutNulls(value) });
+      }
+    });
+  }
+
+  // Merging an object into nothing drops its nulls, all the way down.
+  function withoutNulls(value) {
+    if (!isObject(value)) return value;
+
+    var result = {};
+
+    utils.each(value, function(v, key) {
+      if (v !== null) result[key] = withoutNulls(v);
+    });
+
+    return result;
+  }
+
+  // A plain object, as far as merge patches are concerned: arrays are values.
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !utils.isArray(value);
+  }
+
+  function patchError(message, operation, index) {
+    var error = new Error('Invalid patch operation ' + index + ' (' + (operation && operation.op) + '): ' + message);
+
+    error.name = 'GluePatchError';
+    error.operation = operation;
+    error.index = index;
+
+    return error;
+  }
+};
@@ -0,0 +1,328 @@
+// Persistence with versioned migrations.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Adds persist and the storage adapters to Glue.
+module.exports = function(Glue) {
+
+  // Usage:
+  // glue.persist({ storage, [key], [migrations], [debounce], [onError] });
+  //
+  // Loads the snapshot kept in storage under key into the target, upgrading
+  // it with migrations first, then saves the target back whenever it
+  // changes. See Persistence.
+  Glue.prototype.persist = function(options) {
+    return new Persistence(this, options);
+  };
+
+  // Storage adapters have read(key), write(key, text) and remove(key). Any of
+  // them may return a promise.
+  Glue.storage = {
+
+    // Keeps snapshots in memory, for tests and for state that only has to
+    // outlive one instance.
+    memory: function() {
+      var items = {};
+
+      return {
+        read: function(key) {
+          return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+        },
+        write: function(key, text) {
+          items[key] = text;
+        },
+        remove: function(key) {
+          delete items[key];
+        }
+      };
+    },
+
+    // localStorage, sessionStorage, or anything with the same getItem,
+    // setItem and removeItem.
+    web: function(storage) {
+      storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+      if (!storage) throw new Error('Glue.storage.web needs a storage object outside the browser');
+
+      return {
+        read: function(key) {
+          return storage.getItem(key);
+        },
+        write: function(key, text) {
+          storage.setItem(key, text);
+        },
+        remove: function(key) {
+          storage.removeItem(key);
+        }
+      };
+    },
+
+    // One JSON file per key in directory (Node only). Snapshots are written
+    // to a temporary file and renamed into place, so a crash halfway through
+    // a save leaves the previous snapshot whole.
+    file: function(directory) {
+      var fs   = require('fs'),
+          path = require('path');
+
+      function fileFor(key) {
+        return path.join(directory, key + '.json');
+      }
+
+      return {
+        read: function(key) {
+          try {
+            return fs.readFileSync(fileFor(key), 'utf8');
+          } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+          }
+        },
+        write: function(key, text) {
+          var file = fileFor(key),
+              temporary = file + '.' + process.pid + '.tmp';
+
+          fs.mkdirSync(directory, { recursive: true });
+          fs.writeFileSync(temporary, text);
+          fs.renameSync(temporary, file);
+        },
+        remove: function(key) {
+          try {
+            fs.unlinkSync(fileFor(key));
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+      };
+    }
+  };
+
+  // Usage:
+  // new Persistence(glue, options);
+  //
+  // options.storage: a storage adapter (see Glue.storage).
+  // options.key: what the snapshot is stored under (defaults to 'glue').
+  // options.migrations: functions that upgrade a snapshot's data, oldest
+  // first. migrations[n] takes data saved at version n and returns it as
+  // version n + 1; the current version is migrations.length.
+  // options.debounce: milliseconds to wait after a change before saving,
+  // restarted by every change (defaults to Persistence.debounce).
+  // options.serialize, options.deserialize: default to JSON.stringify and
+  // JSON.parse.
+  // options.onError(error): called when loading or saving fails (defaults to
+  // logging it).
+  //
+  // Loading happens straight away, or once storage answers when it returns
+  // a promise; `ready` resolves when it's done. Nothing is saved before
+  // then. A snapshot that's newer than the migrations know about, or that a
+  // migration fails on, is left alone and saving stays off, so an older
+  // version of the app can't overwrite it.
+  var Persistence = function(glue, options) {
+    var self = this;
+
+    if (!options || !options.storage) throw new Error('persist needs a storage adapter');
+
+    this.glue = glue;
+    this.storage = options.storage;
+    this.key = options.key || 'glue';
+    this.migrations = options.migrations || [];
+    this.version = this.migrations.length;
+    this.wait = utils.isUndefined(options.debounce) ? Persistence.debounce : options.debounce;
+    this.serialize = options.serialize || JSON.stringify;
+    this.deserialize = options.deserialize || JSON.parse;
+    this.onError = options.onError || Persistence.report;
+    this.timer = null;
+    this.loaded = false;
+    this.stopped = false;
+
+    this.recorder = function(entry) {
+      if (entry.source !== 'hydrate') self.schedule();
+    };
+    glue.addRecorder(this.recorder);
+
+    this.ready = settle(function() {
+      return self.storage.read(self.key);
+    }, function(text) {
+      self.load(text);
+      return self;
+    }, function(error) {
+      self.stopped = true;
+      self.onError(error);
+      return self;
+    });
+  };
+
+  Persistence.debounce = 100;
+
+  Persistence.report = function(error) {
+    if (typeof console !== 'undefined') console.error(error);
+  };
+
+  // Not in the public API.
+  Persistence.prototype.load = function(text) {
+    if (text !== null && !utils.isUndefined(text)) {
+      this.hydrate(this.migrate(this.deserialize(text)));
+    }
+
+    this.loaded = true;
+  };
+
+  // Not in the public API.
+  //
+  // Brings a stored snapshot up to the current version.
+  Persistence.prototype.migrate = function(snapshot) {
+    var version = (snapshot && snapshot.version) || 0,
+        data    = snapshot ? snapshot.data : undefined;
+
+    if (version > this.version) {
+      throw persistError('The stored snapshot is version ' + version + ', newer than ' + this.version, version);
+    }
+
+    for (; version < this.version; version++) {
+      try {
+        var migrated = this.migrations[version](data);
+        if (!utils.isUndefined(migrated)) data = migrated;
+      } catch (error) {
+        var wrapped = persistError('Migrating the stored snapshot from version ' + version + ' failed: ' + error.message, version);
+        wrapped.cause = error;
+        throw wrapped;
+      }
+    }
+
+    return data;
+  };
+
+  // Not in the public API.
+  //
+  // Puts data into the target as one batch that observers hear about but
+  // the undo history leaves out. An array target is replaced; an object
+  // target takes each stored key, and keeps its own value for keys the
+  // snapshot doesn't have. Interceptors and the schema see it like any other
+  // write; if they reject it, none of it lands and load fails.
+  Persistence.prototype.hydrate = function(data) {
+    var target  = this.glue.lookup(''),
+        changes = [];
+
+    if (utils.isArray(target)) {
+      changes.push({ action: 'splice', key: '', index: 0, remove: target.length, items: utils.isArray(data) ? data : [] });
+    } else {
+      utils.each(utils.keys(data || {}), function(key) {
+        changes.push({ action: 'set', key: key, value: data[key] });
+      });
+    }
+
+    this.glue.replay(changes, 'hydrate', true);
+  };
+
+  // Not in the public API.
+  Persistence.prototype.schedule = function() {
+    var self = this;
+
+    if (this.stopped || !this.loaded) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(function() {
+      self.timer = null;
+      self.save();
+    }, this.wait);
+  };
+
+  // Usage:
+  // persistence.save();
+  //
+  // Saves the target now. Returns a promise that settles once storage has
+  // it.
+  Persistence.prototype.save = function() {
+    var self = this;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.stopped) return Promise.resolve(this);
+
+    return settle(function() {
+      return self.storage.write(self.key, self.serialize({ version: self.version, data: self.glue.lookup('') }));
+    }, function() {
+      return self;
+    }, function(error) {
+      self.onError(error);
+      return self;
+    });
+  };
+
+  // Usage:
+  // persistence.flush();
+  //
+  // Saves now if a save is waiting out the debounce.
+  Persistence.prototype.flush = function() {
+    return this.timer ? this.save() : Promise.resolve(this);
+  };
+
+  // Usage:
+  // persistence.stop();
+  //
+  // Stops saving changes, after saving one that's still waiting.
+  Persistence.prototype.stop = function() {
+    var flushed = this.flush();
+
+    this.stopped = true;
+    this.glue.removeRecorder(this.recorder);
+
+    return flushed;
+  };
+
+  // Usage:
+  // persistence.clear();
+  //
+  // Removes the stored snapshot. Later changes are saved again.
+  Persistence.prototype.clear = function() {
+    var self = this;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    return settle(function() {
+      return self.storage.remove(self.key);
+    }, function() {
+      return self;
+    }, function(error) {
+      self.onError(error);
+      return self;
+    });
+  };
+
+  Glue.Persistence = Persistence;
+};
+
+function persistError(message, version) {
+  var error = new Error(message);
+
+  error.name = 'GluePersistError';
+  error.version = version;
+
+  return error;
+}
+
+// Runs fn, then done with its result, or failed with what it threw. Both
+// happen synchronously when fn returns a plain value, so synchronous storage
+// loads before persist returns; the result is always a promise.
+function settle(fn, done, failed) {
+  var result;
+
+  try {
+    result = fn();
+  } catch (error) {
+    return Promise.resolve(failed(error));
+  }
+
+  if (result && typeof result.then === 'function') {
+    return Promise.resolve(result).then(done).then(null, failed);
+  }
+
+  try {
+    return Promise.resolve(done(result));
+  } catch (error) {
+    return Promise.resolve(failed(error));
+  }
+}
@@ -0,0 +1,256 @@
+// Schema enforcement and coercion for a Glue instance.
+// MIT License
+// Copyright (C) 2025 Felix Flores
+
+var utils = require('./utils');
+
+// Usage:
+// new Schema(definition, pathSegments, keyFor);
+//
+// Checks writes against a JSON-Schema-style definition. Supported keywords
+// are type (string, number, integer, boolean, object, array, null, or date
+// for Date instances; a list allows any of them), enum, minimum, maximum,
+// minLength, maxLength, pattern, properties, required,
+// additionalProperties, items, minItems and maxItems. `coerce: true` turns
+// strings into the declared number, integer or boolean, and strings or
+// timestamps into the declared date. pathSegments splits glue keys, and
+// keyFor joins them back up for error paths.
+var Schema = function(definition, pathSegments, keyFor) {
+  this.definition = definition;
+  this.pathSegments = pathSegments;
+  this.keyFor = keyFor;
+};
+
+// The part of the definition that describes the value at `segments`, if
+// any.
+Schema.prototype.at = function(segments) {
+  var schema = this.definition;
+
+  for (var i = 0; i < segments.length && schema; i++) {
+    if (schema.items && /^\d+$/.test(segments[i])) {
+      schema = schema.items;
+    } else if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, segments[i])) {
+      schema = schema.properties[segments[i]];
+    } else {
+      schema = isSchema(schema.additionalProperties) ? schema.additionalProperties : null;
+    }
+  }
+
+  return schema;
+};
+
+// Applies declared coercions to the values a primitive change writes.
+Schema.prototype.coerce = function(change) {
+  var segments = this.pathSegments(change.key || '');
+
+  if (change.action === 'set' && change.property !== 'length') {
+    change.value = coerce(change.value, this.at(segments));
+  } else if (change.action === 'splice' && change.items) {
+    var items = (this.at(segments) || {}).items;
+
+    change.items = utils.map(change.items, function(item) {
+      return coerce(item, items);
+    });
+  }
+};
+
+// The errors in what the written changes left behind: each new value is
+// checked in full, and the container it was written to on its own level
+// (required and unexpected properties, array lengths).
+Schema.prototype.check = function(changes) {
+  var errors = [];
+
+  utils.each(changes, function(change) {
+    var segments = this.pathSegments(change.key || '');
+
+    if (change.action === 'splice') {
+      errors = errors.concat(validate(change.object, this.at(segments), this.keyFor(segments), true));
+
+      utils.each(change.items, function(item, k) {
+        var at = segments.concat(String(change.index + k));
+        errors = errors.concat(validate(item, this.at(at), this.keyFor(at)));
+      }, this);
+
+      return;
+    }
+
+    if (change.property === 'length') {
+      errors = errors.concat(validate(change.object, this.at(segments), this.keyFor(segments), true));
+      return;
+    }
+
+    var parent = segments.slice(0, -1);
+
+    if (change.action === 'set') {
+      errors = errors.concat(validate(change.object[change.property], this.at(segments), this.keyFor(segments)));
+    }
+
+    errors = errors.concat(validate(change.object, this.at(parent), this.keyFor(parent), true));
+  }, this);
+
+  return errors;
+};
+
+// The error thrown for rejected writes: `errors` lists every problem found,
+// as { path, message }, and `path` is the first one's.
+Schema.error = function(errors) {
+  var first = errors[0],
+      error = new Error('Invalid value at "' + first.path + '": ' + first.message +
+        (errors.length > 1 ? ' (and ' + (errors.length - 1) + ' more)' : ''));
+
+  error.name = 'GlueSchemaError';
+  error.errors = errors;
+  error.path = first.path;
+
+  return error;
+};
+
+// Checks `value` against `schema`. A shallow check leaves the values
+// inside objects and arrays alone.
+function validate(value, schema, path, shallow) {
+  var errors = [];
+
+  if (!schema) return errors;
+
+  function fail(message) {
+    errors.push({ path: path, message: message });
+  }
+
+  var types = [].concat(schema.type || []);
+
+  if (types.length && !utils.some(types, function(type) { return is(value, type); })) {
+    fail('expected ' + types.join(' or ') + ', got ' + describe(value));
+    return errors;
+  }
+
+  if (schema.enum && !utils.some(schema.enum, function(allowed) { return utils.isEqual(allowed, value); })) {
+    fail('expected one of ' + utils.map(schema.enum, String).join(', '));
+  }
+
+  if (typeof value === 'number') {
+    if (!utils.isUndefined(schema.minimum) && value < schema.minimum) fail('must be at least ' + schema.minimum);
+    if (!utils.isUndefined(schema.maximum) && value > schema.maximum) fail('must be at most ' + schema.maximum);
+  }
+
+  if (utils.isString(value)) {
+    if (!utils.isUndefined(schema.minLength) && value.length < schema.minLength) fail('must be at least ' + schema.minLength + ' characters');
+    if (!utils.isUndefined(schema.maxLength) && value.length > schema.maxLength) fail('must be at most ' + schema.maxLength + ' characters');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('must match ' + schema.pattern);
+  }
+
+  if (utils.isArray(value)) {
+    if (!utils.isUndefined(schema.minItems) && value.length < schema.minItems) fail('must have at least ' + schema.minItems + ' items');
+    if (!utils.isUndefined(schema.maxItems) && value.length > schema.maxItems) fail('must have at most ' + schema.maxItems + ' items');
+
+    if (!shallow && isSchema(schema.items)) {
+      utils.each(value, function(item, i) {
+        errors = errors.concat(validate(item, schema.items, path + '[' + i + ']'));
+      });
+    }
+  } else if (is(value, 'object')) {
+    var properties = schema.properties || {};
+
+    utils.each(schema.required || [], function(key) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) fail('missing required property "' + key + '"');
+    });
+
+    utils.each(utils.keys(value), function(key) {
+      var known = Object.prototype.hasOwnProperty.call(properties, key);
+
+      if (!known && schema.additionalProperties === false) {
+        fail('unexpected property "' + key + '"');
+      } else if (!shallow) {
+        var child = known ? properties[key] : schema.additionalProperties;
+        if (isSchema(child)) errors = errors.concat(validate(value[key], child, path ? path + '.' + key : key));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function coerce(value, schema) {
+  if (!schema) return value;
+
+  var types = [].concat(schema.type || []);
+
+  if (schema.coerce && !utils.some(types, function(type) { return is(value, type); })) {
+    value = converted(value, types);
+  }
+
+  if (utils.isArray(value) && isSchema(schema.items)) {
+    return copyIfChanged(value, utils.map(value, function(item) {
+      return coerce(item, schema.items);
+    }));
+  }
+
+  if (is(value, 'object') && (schema.properties || isSchema(schema.additionalProperties))) {
+    var result = utils.extend({}, value);
+
+    utils.each(utils.keys(value), function(key) {
+      var child = schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key) ?
+        schema.properties[key] : schema.additionalProperties;
+
+      if (isSchema(child)) result[key] = coerce(value[key], child);
+    });
+
+    return copyIfChanged(value, result);
+  }
+
+  return value;
+}
+
+// The first of `types` that `value` converts to, or `value` itself.
+function converted(value, types) {
+  for (var i = 0; i < types.length; i++) {
+    var type = types[i];
+
+    if ((type === 'number' || type === 'integer') && utils.isString(value) && value.trim() !== '') {
+      var number = Number(value);
+      if (is(number, type)) return number;
+    }
+
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+
+    if (type === 'date' && (utils.isString(value) || typeof value === 'number')) {
+      var date = new Date(value);
+      if (is(date, 'date')) return date;
+    }
+  }
+
+  return value;
+}
+
+// Coercion leaves the caller's objects alone, copying only what it changed.
+function copyIfChanged(original, copy) {
+  return utils.some(utils.keys(copy), function(key) {
+    return copy[key] !== original[key];
+  }) ? copy : original;
+}
+
+function is(value, type) {
+  switch (type) {
+    case 'string':  return utils.isString(value);
+    case 'number':  return typeof value === 'number' && !isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null':    return value === null;
+    case 'array':   return utils.isArray(value);
+    case 'date':    return value instanceof Date && !isNaN(value.getTime());
+    case 'object':  return value !== null && typeof value === 'object' && !utils.isArray(value) && !(value instanceof Date);
+    default:        return false;
+  }
+}
+
+function isSchema(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (utils.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+module.exports = Schema;
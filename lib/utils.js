@@ -28,6 +28,7 @@ const utils = {
   isUndefined: (val) => val === undefined,
   include: (arr, val) => arr.includes(val),
   keys: Object.keys,
+  extend: Object.assign,
   toArray: Array.from,
   rest: (arr, n = 1) => arr.slice(n),
   first: (arr, n) => n === undefined ? arr[0] : arr.slice(0, n),
@@ -47,6 +48,9 @@ const utils = {
   },
   
   reject: (arr, fn) => arr.filter(item => !fn(item)),
+  some: (arr, fn) => arr.some(fn),
+  every: (arr, fn) => arr.every(fn),
+  find: (arr, fn) => arr.find(fn),
   
   each: function(collection, iteratee, context) {
     if (Array.isArray(collection)) {
@@ -102,34 +106,162 @@ const utils = {
   },
   
   // Phase 4 - Complex implementation
-  isEqual: function(a, b) {
-    if (a === b) return true;
-    // Handle NaN case - NaN should equal NaN for our purposes
-    if (typeof a === 'number' && typeof b === 'number' && isNaN(a) && isNaN(b)) return true;
-    if (a == null || b == null) return false;
-    if (a.constructor !== b.constructor) return false;
-    
-    if (Array.isArray(a)) {
-      if (a.length !== b.length) return false;
-      for (let i = 0; i < a.length; i++) {
-        if (!utils.isEqual(a[i], b[i])) return false;
+  //
+  // Deep comparison that understands Dates, RegExps, Maps, Sets, typed
+  // arrays and class instances, and survives circular references.
+  // `customizer(a, b)` can decide any comparison by returning a boolean;
+  // returning undefined falls back to the default.
+  isEqual: function(a, b, customizer) {
+    return equal(a, b, customizer, []);
+  },
+
+  // Deep copy that keeps types intact: Dates, RegExps, Maps, Sets, typed
+  // arrays and class instances come back as the same kind of object, while
+  // undefined, functions, symbols and BigInts are kept as they are. Shared
+  // and circular references are preserved. `customizer(value)` can return
+  // the copy to use instead; returning undefined falls back to the default.
+  cloneDeep: function(value, customizer) {
+    return clone(value, customizer, new Map());
+  }
+};
+
+// Kept by reference: copying these would change what they mean.
+const UNCLONEABLE = [WeakMap, WeakSet, Promise, Error];
+
+function clone(value, customizer, seen) {
+  if (customizer) {
+    const custom = customizer(value);
+    if (custom !== undefined) return custom;
+  }
+
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+
+  const proto = Object.getPrototypeOf(value);
+  let copy;
+
+  // Plain objects and arrays come first: they are nearly all of what a
+  // snapshot holds, and none of the special cases apply to them.
+  if (proto === Object.prototype) {
+    copy = {};
+  } else if (proto === Array.prototype) {
+    copy = new Array(value.length);
+  } else if (UNCLONEABLE.some(type => value instanceof type)) {
+    return value;
+  } else if (value instanceof Date) {
+    copy = new Date(value.getTime());
+  } else if (value instanceof RegExp) {
+    copy = new RegExp(value.source, value.flags);
+  } else if (value instanceof ArrayBuffer) {
+    copy = value.slice(0);
+  } else if (ArrayBuffer.isView(value)) {
+    copy = value instanceof DataView
+      ? new DataView(value.buffer.slice(0), value.byteOffset, value.byteLength)
+      : value.slice();
+  } else if (value instanceof Map) {
+    copy = new Map();
+    seen.set(value, copy);
+    // Keys stay the same objects so that lookups by key keep working
+    value.forEach((v, k) => copy.set(k, clone(v, customizer, seen)));
+    return copy;
+  } else if (value instanceof Set) {
+    copy = new Set();
+    seen.set(value, copy);
+    value.forEach(v => copy.add(clone(v, customizer, seen)));
+    return copy;
+  } else if (Array.isArray(value)) {
+    copy = new Array(value.length);
+  } else {
+    copy = Object.create(proto);
+  }
+
+  seen.set(value, copy);
+
+  // Plain loops rather than callbacks: snapshots of large arrays go through
+  // here once per element.
+  if (Array.isArray(value) || !ArrayBuffer.isView(value)) {
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; i++) {
+      copy[keys[i]] = clone(value[keys[i]], customizer, seen);
+    }
+  }
+
+  return copy;
+}
+
+// `stack` holds the pairs being compared further up, side by side, so that
+// a cycle is taken as equal instead of recursing forever.
+function equal(a, b, customizer, stack) {
+  if (customizer) {
+    const custom = customizer(a, b);
+    if (custom !== undefined) return !!custom;
+  }
+
+  if (a === b) return true;
+  // Handle NaN case - NaN should equal NaN for our purposes
+  if (typeof a === 'number' && typeof b === 'number' && isNaN(a) && isNaN(b)) return true;
+  if (a == null || b == null) return false;
+  if (typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  for (let i = 0; i < stack.length; i += 2) {
+    if (stack[i] === a && stack[i + 1] === b) return true;
+  }
+
+  if (a instanceof Date) return equal(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return String(a) === String(b);
+  if (a instanceof Number || a instanceof String || a instanceof Boolean) return equal(a.valueOf(), b.valueOf());
+  if (a instanceof ArrayBuffer) return equal(new Uint8Array(a), new Uint8Array(b), customizer, stack);
+  if (a instanceof DataView) return equal(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), new Uint8Array(b.buffer, b.byteOffset, b.byteLength), customizer, stack);
+
+  stack.push(a, b);
+
+  try {
+    if (a instanceof Map) {
+      if (a.size !== b.size) return false;
+      for (const [key, value] of a) {
+        if (!b.has(key) || !equal(value, b.get(key), customizer, stack)) return false;
       }
       return true;
     }
-    
-    if (typeof a === 'object') {
-      const keysA = Object.keys(a);
-      const keysB = Object.keys(b);
-      if (keysA.length !== keysB.length) return false;
-      for (let key of keysA) {
-        if (!keysB.includes(key)) return false;
-        if (!utils.isEqual(a[key], b[key])) return false;
+
+    if (a instanceof Set) {
+      if (a.size !== b.size) return false;
+      for (const value of a) {
+        if (b.has(value)) continue;
+        if (value === null || typeof value !== 'object') return false;
+
+        let found = false;
+        for (const other of b) {
+          if (equal(value, other, customizer, stack)) {
+            found = true;
+            break;
+          }
+        }
+        if (!found) return false;
       }
       return true;
     }
-    
-    return false;
+
+    if (Array.isArray(a) || ArrayBuffer.isView(a)) {
+      if (a.length !== b.length) return false;
+      for (let i = 0; i < a.length; i++) {
+        if (!equal(a[i], b[i], customizer, stack)) return false;
+      }
+      if (!Array.isArray(a)) return true;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    for (let key of keysA) {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) return false;
+      if (!equal(a[key], b[key], customizer, stack)) return false;
+    }
+    return true;
+  } finally {
+    stack.length -= 2;
   }
-};
+}
 
 module.exports = utils;
\ No newline at end of file
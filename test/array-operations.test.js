@@ -26,10 +26,10 @@ describe('array operations', () => {
       
       glue.push('arr', 6);
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'push',
         value: [1, 2, 3, 4, 5, 6]
-      });
+      }));
     });
 
     it('should return glue instance for chaining', () => {
@@ -58,10 +58,10 @@ describe('array operations', () => {
       
       glue.pop('arr');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'pop',
         value: [1, 2, 3, 4]
-      });
+      }));
     });
 
     it('should return popped value', () => {
@@ -88,10 +88,10 @@ describe('array operations', () => {
       
       glue.insert('arr', 2, 99);
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'insert',
         value: [1, 2, 99, 3, 4, 5]
-      });
+      }));
     });
 
     it('should return glue instance for chaining', () => {
@@ -193,10 +193,179 @@ describe('array operations', () => {
       
       glue.remove('arr[2]');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'remove',
         value: [1, 2, 4, 5]
-      });
+      }));
+    });
+  });
+
+  describe('shift', () => {
+    it('should remove first element from array', () => {
+      expect(glue.shift('arr')).toBe(1);
+      expect(glue.target.arr).toEqual([2, 3, 4, 5]);
+    });
+
+    it('should work on root array', () => {
+      glue = new Glue([1, 2, 3]);
+      expect(glue.shift()).toBe(1);
+      expect(glue.target).toEqual([2, 3]);
+    });
+
+    it('should notify observers', () => {
+      const callback = vi.fn();
+      glue.addObserver('arr:shift', callback);
+      
+      glue.shift('arr');
+      
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'shift',
+        value: [2, 3, 4, 5]
+      }));
+    });
+
+    it('should return undefined for an empty array', () => {
+      glue.target.arr = [];
+      expect(glue.shift('arr')).toBeUndefined();
+    });
+  });
+
+  describe('unshift', () => {
+    it('should add elements to the front', () => {
+      glue.unshift('arr', -1, 0);
+      expect(glue.target.arr).toEqual([-1, 0, 1, 2, 3, 4, 5]);
+    });
+
+    it('should work on root array, even with string elements', () => {
+      glue = new Glue(['b', 'c']);
+      glue.unshift('a');
+      expect(glue.target).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should notify observers', () => {
+      const callback = vi.fn();
+      glue.addObserver('arr:unshift', callback);
+      
+      glue.unshift('arr', 0);
+      
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'unshift',
+        value: [0, 1, 2, 3, 4, 5]
+      }));
+    });
+
+    it('should return glue instance for chaining', () => {
+      expect(glue.unshift('arr', 0)).toBe(glue);
+    });
+  });
+
+  describe('splice', () => {
+    it('should remove and insert elements', () => {
+      const removed = glue.splice('arr', 1, 2, 'a', 'b', 'c');
+      expect(removed).toEqual([2, 3]);
+      expect(glue.target.arr).toEqual([1, 'a', 'b', 'c', 4, 5]);
+    });
+
+    it('should remove everything from start without a count', () => {
+      expect(glue.splice('arr', -2)).toEqual([4, 5]);
+      expect(glue.target.arr).toEqual([1, 2, 3]);
+    });
+
+    it('should work on root array', () => {
+      glue = new Glue.Traditional([1, 2, 3]);
+      expect(glue.splice(0, 1)).toEqual([1]);
+      expect(glue.target).toEqual([2, 3]);
+    });
+
+    it('should only be seen by splice filters', () => {
+      const splice = vi.fn();
+      const push = vi.fn();
+      glue.addObserver('arr:splice', splice);
+      glue.addObserver('arr:push', push);
+      
+      glue.splice('arr', 0, 1);
+      
+      expect(splice).toHaveBeenCalledWith(expect.objectContaining({ operation: 'splice', value: [2, 3, 4, 5] }));
+      expect(push).not.toHaveBeenCalled();
+    });
+
+    it('should not notify when nothing changes', () => {
+      const callback = vi.fn();
+      glue.addObserver('arr', callback);
+      
+      expect(glue.splice('arr', 1, 0)).toEqual([]);
+      expect(glue.splice('arr')).toEqual([]);
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reverse', () => {
+    it('should reverse the array in place', () => {
+      const arr = glue.target.arr;
+      expect(glue.reverse('arr')).toBe(arr);
+      expect(arr).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    it('should notify observers', () => {
+      const callback = vi.fn();
+      glue.addObserver('arr:reverse', callback);
+      
+      glue.reverse('arr');
+      
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'reverse',
+        value: [5, 4, 3, 2, 1]
+      }));
+    });
+  });
+
+  describe('fill', () => {
+    it('should fill a range', () => {
+      glue.fill('arr', 0, 1, -1);
+      expect(glue.target.arr).toEqual([1, 0, 0, 0, 5]);
+    });
+
+    it('should fill the whole array by default', () => {
+      glue = new Glue.Traditional([1, 2, 3]);
+      glue.fill('x');
+      expect(glue.target).toEqual(['x', 'x', 'x']);
+    });
+
+    it('should notify observers', () => {
+      const callback = vi.fn();
+      glue.addObserver('arr[]:fill', callback);
+      
+      glue.fill('arr', 9, 3);
+      
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'fill', value: 9, index: 4 }));
+    });
+  });
+
+  describe('operation filters in both modes', () => {
+    it('should report the same operations through the proxy', () => {
+      const traditional = new Glue.Traditional({ arr: [1, 2, 3] });
+      const proxied = new Glue({ arr: [1, 2, 3] });
+      const seen = { traditional: [], proxied: [] };
+      
+      traditional.addObserver('arr:shift,unshift,splice,reverse,fill', (m) => seen.traditional.push(m.operation));
+      proxied.addObserver('arr:shift,unshift,splice,reverse,fill', (m) => seen.proxied.push(m.operation));
+      
+      traditional.shift('arr');
+      traditional.unshift('arr', 0);
+      traditional.splice('arr', 1, 1);
+      traditional.reverse('arr');
+      traditional.fill('arr', 7);
+      
+      proxied.arr.shift();
+      proxied.arr.unshift(0);
+      proxied.arr.splice(1, 1);
+      proxied.arr.reverse();
+      proxied.arr.fill(7);
+      
+      expect(seen.traditional).toEqual(['shift', 'unshift', 'splice', 'reverse', 'fill']);
+      expect(seen.proxied).toEqual(seen.traditional);
+      expect(proxied.target.arr).toEqual(traditional.target.arr);
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('batch', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({
+      form: { name: 'John', email: 'john@example.com', age: 30 },
+      items: [1, 2, 3]
+    });
+  });
+
+  describe('traditional API', () => {
+    it('should not notify until the batch ends', () => {
+      const callback = vi.fn();
+      glue.addObserver('form.name', callback);
+
+      glue.batch(() => {
+        glue.set('form.name', 'Jane');
+        expect(callback).not.toHaveBeenCalled();
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should call each listener once with its final value', () => {
+      const form = vi.fn();
+      const name = vi.fn();
+
+      glue.addObserver('form', form);
+      glue.addObserver('form.name', name);
+
+      glue.batch(() => {
+        glue.set('form.name', '');
+        glue.set('form.email', '');
+        glue.set('form.age', 0);
+        glue.set('form.name', 'Reset');
+      });
+
+      expect(form).toHaveBeenCalledTimes(1);
+      expect(form).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: glue.target.form }));
+      expect(name).toHaveBeenCalledTimes(1);
+      expect(name).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Reset' }));
+    });
+
+    it('should skip listeners whose value ends up unchanged', () => {
+      const name = vi.fn();
+      const root = vi.fn();
+
+      glue.addObserver('form.name', name);
+      glue.addObserver('*', root);
+
+      glue.batch(() => {
+        glue.set('form.name', 'Jane');
+        glue.set('form.name', 'John');
+      });
+
+      expect(name).not.toHaveBeenCalled();
+      expect(root).not.toHaveBeenCalled();
+    });
+
+    it('should compare against the value from before the batch', () => {
+      const name = vi.fn();
+      const email = vi.fn();
+
+      glue.addObserver('form.name', name);
+      glue.addObserver('form.email', email);
+
+      glue.batch(() => {
+        glue.set('form.name', 'Jane');
+        glue.set('form', { name: 'John', email: 'new@example.com', age: 30 });
+      });
+
+      expect(name).not.toHaveBeenCalled();
+      expect(email).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'new@example.com' }));
+    });
+
+    it('should report the last operation a listener accepts', () => {
+      const any = vi.fn();
+      const pushOnly = vi.fn();
+
+      glue.addObserver('items', any);
+      glue.addObserver('items:push', pushOnly);
+
+      glue.batch(() => {
+        glue.push('items', 4);
+        glue.pop('items');
+        glue.pop('items');
+      });
+
+      expect(any).toHaveBeenCalledWith(expect.objectContaining({ operation: 'pop', value: [1, 2] }));
+      expect(pushOnly).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: [1, 2] }));
+    });
+
+    it('should call generic listeners once per changed index', () => {
+      const callback = vi.fn();
+      glue.addObserver('items[]', callback);
+
+      glue.batch(() => {
+        glue.set('items[0]', 10);
+        glue.set('items[0]', 20);
+        glue.push('items', 4);
+      });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 20, index: 0 }));
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: 4, index: 3 }));
+    });
+
+    it('should only notify when the outermost batch ends', () => {
+      const callback = vi.fn();
+      glue.addObserver('form.name', callback);
+
+      glue.batch(() => {
+        glue.batch(() => {
+          glue.set('form.name', 'Jane');
+        });
+        expect(callback).not.toHaveBeenCalled();
+        glue.set('form.name', 'Janet');
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Janet' }));
+    });
+
+    it('should notify for changes made before fn throws', () => {
+      const callback = vi.fn();
+      glue.addObserver('form.name', callback);
+
+      expect(() => {
+        glue.batch(() => {
+          glue.set('form.name', 'Jane');
+          throw new Error('boom');
+        });
+      }).toThrow('boom');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should notify normally again after the batch', () => {
+      const callback = vi.fn();
+      glue.addObserver('form.name', callback);
+
+      glue.batch(() => glue.set('form.name', 'Jane'));
+      glue.set('form.name', 'Janet');
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the glue instance for chaining', () => {
+      expect(glue.batch(() => {})).toBe(glue);
+    });
+  });
+
+  describe('proxy API', () => {
+    it('should coalesce natural assignments', () => {
+      const data = new Glue({ form: { name: 'John', email: '' } });
+      const callback = vi.fn();
+
+      data.addObserver('form', callback);
+
+      data.batch(() => {
+        data.form.name = '';
+        data.form.email = 'a@b.c';
+        delete data.form.name;
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'remove', value: data.target.form }));
+    });
+
+    it('should coalesce array methods', () => {
+      const data = new Glue({ items: [] });
+      const callback = vi.fn();
+
+      data.addObserver('items', callback);
+
+      const result = data.batch(() => {
+        data.items.push(1);
+        data.items.push(2);
+        data.items.unshift(0);
+      });
+
+      expect(result).toBe(data);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'unshift', value: [0, 1, 2] }));
+    });
+  });
+});
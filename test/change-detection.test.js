@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('path-scoped change detection', () => {
+  let glue, cloneSpy;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({
+      user: { name: 'John', address: { city: 'Paris' } },
+      rows: Array.from({ length: 1000 }, (_, i) => ({ id: i })),
+      arr: [1, 2, 3, 4]
+    });
+    cloneSpy = vi.spyOn(Glue.Traditional, 'deepClone');
+  });
+
+  afterEach(() => {
+    cloneSpy.mockRestore();
+  });
+
+  describe('pathSegments', () => {
+    it('should split dotted and bracketed keys into the same segments', () => {
+      expect(Glue.Traditional.pathSegments('a.list[2].name')).toEqual(['a', 'list', '2', 'name']);
+      expect(Glue.Traditional.pathSegments('a.list.2.name')).toEqual(['a', 'list', '2', 'name']);
+    });
+
+    it('should handle root keys and root arrays', () => {
+      expect(Glue.Traditional.pathSegments('')).toEqual([]);
+      expect(Glue.Traditional.pathSegments('*')).toEqual([]);
+      expect(Glue.Traditional.pathSegments('[3]')).toEqual(['3']);
+      expect(Glue.Traditional.pathSegments('matrix[0][1]')).toEqual(['matrix', '0', '1']);
+    });
+
+    it('should keep generic array suffixes as a segment', () => {
+      expect(Glue.Traditional.pathSegments('items[]')).toEqual(['items', '[]']);
+    });
+  });
+
+  describe('snapshots', () => {
+    it('should not clone anything when nothing is observed', () => {
+      glue.set('user.name', 'Jane');
+      glue.push('arr', 5);
+
+      expect(cloneSpy).not.toHaveBeenCalled();
+    });
+
+    it('should not clone when only unrelated keys are observed', () => {
+      glue.addObserver('rows', vi.fn());
+
+      glue.set('user.name', 'Jane');
+
+      expect(cloneSpy).not.toHaveBeenCalled();
+    });
+
+    it('should clone only the mutated subtree', () => {
+      glue.addObserver('*', vi.fn());
+
+      glue.set('user.name', 'Jane');
+
+      expect(cloneSpy).toHaveBeenCalledTimes(2);
+      expect(cloneSpy).toHaveBeenNthCalledWith(1, 'John');
+      expect(cloneSpy).toHaveBeenNthCalledWith(2, 'Jane');
+    });
+
+    it('should clone the whole array for index removals', () => {
+      glue.addObserver('arr', vi.fn());
+
+      glue.remove('arr[1]');
+
+      expect(cloneSpy.mock.calls[0][0]).toBe(glue.target.arr);
+    });
+  });
+
+  describe('notifications', () => {
+    it('should skip every listener when the value is unchanged', () => {
+      const root = vi.fn();
+      const user = vi.fn();
+
+      glue.addObserver('*', root);
+      glue.addObserver('user', user);
+
+      glue.set('user.name', 'John');
+
+      expect(root).not.toHaveBeenCalled();
+      expect(user).not.toHaveBeenCalled();
+    });
+
+    it('should notify ancestors but not siblings', () => {
+      const user = vi.fn();
+      const city = vi.fn();
+      const rows = vi.fn();
+
+      glue.addObserver('user', user);
+      glue.addObserver('user.address.city', city);
+      glue.addObserver('rows', rows);
+
+      glue.set('user.name', 'Jane');
+
+      expect(user).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: glue.target.user }));
+      expect(city).not.toHaveBeenCalled();
+      expect(rows).not.toHaveBeenCalled();
+    });
+
+    it('should compare descendants when an ancestor is replaced', () => {
+      const name = vi.fn();
+      const city = vi.fn();
+
+      glue.addObserver('user.name', name);
+      glue.addObserver('user.address.city', city);
+
+      glue.set('user', { name: 'John', address: { city: 'Rome' } });
+
+      expect(name).not.toHaveBeenCalled();
+      expect(city).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Rome' }));
+    });
+
+    it('should notify shifted indices after a removal', () => {
+      const third = vi.fn();
+
+      glue.addObserver('arr[2]', third);
+
+      glue.remove('arr[1]');
+
+      expect(third).toHaveBeenCalledWith(expect.objectContaining({ operation: 'remove', value: 4 }));
+    });
+
+    it('should treat dotted and bracketed indices as the same path', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('rows.5.id', callback);
+
+      glue.set('rows[5].id', 'five');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'five' }));
+    });
+
+    it('should scope proxy assignments the same way', () => {
+      const data = new Glue({ a: { b: 1 }, big: Array.from({ length: 1000 }, (_, i) => i) });
+      const callback = vi.fn();
+
+      data.addObserver('*', callback);
+      data.a.b = 2;
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(cloneSpy).toHaveBeenNthCalledWith(1, 1);
+      expect(cloneSpy).toHaveBeenNthCalledWith(2, 2);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, expect, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+import utils from '../lib/utils.js';
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  get length() {
+    return Math.hypot(this.x, this.y);
+  }
+}
+
+class Money {
+  #cents;
+
+  constructor(cents) {
+    this.#cents = cents;
+  }
+
+  get cents() {
+    return this.#cents;
+  }
+
+  copy() {
+    return new Money(this.#cents);
+  }
+
+  equals(other) {
+    return other instanceof Money && other.cents === this.#cents;
+  }
+}
+
+describe('type-faithful snapshots', () => {
+  describe('Glue.deepClone', () => {
+    it('should keep values JSON would lose', () => {
+      const fn = () => {};
+      const symbol = Symbol('s');
+      const copy = Glue.Traditional.deepClone({ u: undefined, fn, big: 10n, symbol, inf: -Infinity });
+
+      expect(copy).toEqual({ u: undefined, fn, big: 10n, symbol, inf: -Infinity });
+      expect('u' in copy).toBe(true);
+      expect(copy.fn).toBe(fn);
+      expect(Glue.Traditional.deepClone(undefined)).toBeUndefined();
+    });
+
+    it('should copy Dates, RegExps, Maps, Sets and typed arrays', () => {
+      const value = {
+        date: new Date(2020, 0, 1),
+        pattern: /a+/gi,
+        map: new Map([['k', { n: 1 }]]),
+        set: new Set([{ n: 2 }]),
+        bytes: new Uint8Array([1, 2, 3])
+      };
+      const copy = Glue.Traditional.deepClone(value);
+
+      expect(copy.date).toBeInstanceOf(Date);
+      expect(copy.date).not.toBe(value.date);
+      expect(copy.date.getTime()).toBe(value.date.getTime());
+      expect(copy.pattern).toEqual(/a+/gi);
+      expect(copy.map.get('k')).toEqual({ n: 1 });
+      expect(copy.map.get('k')).not.toBe(value.map.get('k'));
+      expect([...copy.set]).toEqual([{ n: 2 }]);
+      expect(copy.bytes).toBeInstanceOf(Uint8Array);
+      expect(copy.bytes).not.toBe(value.bytes);
+      expect(Array.from(copy.bytes)).toEqual([1, 2, 3]);
+    });
+
+    it('should keep class instances and their prototypes', () => {
+      const copy = Glue.Traditional.deepClone(new Point(3, 4));
+
+      expect(copy).toBeInstanceOf(Point);
+      expect(copy.length).toBe(5);
+    });
+
+    it('should preserve shared and circular references', () => {
+      const shared = { n: 1 };
+      const value = { a: shared, b: shared };
+      value.self = value;
+
+      const copy = Glue.Traditional.deepClone(value);
+
+      expect(copy.a).toBe(copy.b);
+      expect(copy.a).not.toBe(shared);
+      expect(copy.self).toBe(copy);
+    });
+
+    it('should keep holes in sparse arrays', () => {
+      const copy = Glue.Traditional.deepClone([1, , 3]);
+
+      expect(copy).toHaveLength(3);
+      expect(1 in copy).toBe(false);
+    });
+  });
+
+  describe('utils.isEqual', () => {
+    it('should compare Dates, RegExps, Maps and Sets by content', () => {
+      expect(utils.isEqual(new Date(1), new Date(1))).toBe(true);
+      expect(utils.isEqual(new Date(1), new Date(2))).toBe(false);
+      expect(utils.isEqual(/a/g, /a/g)).toBe(true);
+      expect(utils.isEqual(/a/g, /a/i)).toBe(false);
+      expect(utils.isEqual(new Map([['a', [1]]]), new Map([['a', [1]]]))).toBe(true);
+      expect(utils.isEqual(new Map([['a', 1]]), new Map([['b', 1]]))).toBe(false);
+      expect(utils.isEqual(new Set([{ n: 1 }]), new Set([{ n: 1 }]))).toBe(true);
+      expect(utils.isEqual(new Set([1]), new Set([2]))).toBe(false);
+    });
+
+    it('should tell types apart', () => {
+      expect(utils.isEqual(new Date(0), {})).toBe(false);
+      expect(utils.isEqual(new Map(), new Set())).toBe(false);
+      expect(utils.isEqual(new Point(1, 2), { x: 1, y: 2 })).toBe(false);
+      expect(utils.isEqual(1n, 1)).toBe(false);
+      expect(utils.isEqual({ a: undefined }, {})).toBe(false);
+    });
+
+    it('should compare circular structures', () => {
+      const a = { n: 1 };
+      const b = { n: 1 };
+      a.self = a;
+      b.self = b;
+
+      expect(utils.isEqual(a, b)).toBe(true);
+
+      b.n = 2;
+      expect(utils.isEqual(a, b)).toBe(false);
+    });
+
+    it('should let a customizer decide', () => {
+      const loose = (a, b) => (typeof a === 'number' && typeof b === 'number' ? Math.abs(a - b) < 0.01 : undefined);
+
+      expect(utils.isEqual({ v: [1, 2.001] }, { v: [1, 2] }, loose)).toBe(true);
+      expect(utils.isEqual({ v: [1, 2.1] }, { v: [1, 2] }, loose)).toBe(false);
+    });
+  });
+
+  describe('change detection', () => {
+    it('should notify for changes JSON could not see', () => {
+      const glue = new Glue.Traditional({ when: new Date(0), tags: new Set(['a']), fn: null });
+      const callback = vi.fn();
+
+      glue.addObserver('when, tags, fn', callback);
+
+      glue.set('when', new Date(0));
+      expect(callback).not.toHaveBeenCalled();
+
+      glue.set('when', new Date(1));
+      glue.set('tags', new Set(['a', 'b']));
+      glue.set('fn', () => {});
+
+      expect(callback).toHaveBeenCalledTimes(3);
+    });
+
+    it('should notify for undefined and BigInt values', () => {
+      const glue = new Glue.Traditional({ a: 1, big: 1n });
+      const callback = vi.fn();
+
+      glue.addObserver('a, big', callback);
+      glue.set('a', undefined);
+      glue.set('big', 2n);
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: undefined }));
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 2n }));
+    });
+
+    it('should use the clone and isEqual hooks for custom classes', () => {
+      const clone = vi.fn((value) => (value instanceof Money ? value.copy() : undefined));
+      const isEqual = vi.fn((a, b) => (a instanceof Money ? a.equals(b) : undefined));
+      const glue = new Glue.Traditional({ price: new Money(100) }, { clone, isEqual });
+      const callback = vi.fn();
+
+      glue.addObserver('price', callback);
+
+      glue.set('price', new Money(100));
+      expect(callback).not.toHaveBeenCalled();
+
+      glue.set('price', new Money(250));
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(clone).toHaveBeenCalled();
+      expect(isEqual).toHaveBeenCalled();
+    });
+
+    it('should not see changes to private state without hooks', () => {
+      const glue = new Glue.Traditional({ price: new Money(100) });
+      const callback = vi.fn();
+
+      glue.addObserver('price', callback);
+      glue.set('price', new Money(250));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should apply hooks to JSON Patch test operations', () => {
+      const isEqual = (a, b) => (a instanceof Money ? a.equals(b) : undefined);
+      const glue = new Glue.Traditional({ price: new Money(100) }, { isEqual });
+
+      expect(() => glue.applyPatch([{ op: 'test', path: '/price', value: new Money(100) }])).not.toThrow();
+      expect(() => glue.applyPatch([{ op: 'test', path: '/price', value: new Money(1) }])).toThrow('test failed');
+    });
+  });
+});
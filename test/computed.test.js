@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('computed properties', () => {
+  describe('traditional API', () => {
+    let glue;
+
+    beforeEach(() => {
+      glue = new Glue.Traditional({
+        firstName: 'John',
+        lastName: 'Doe',
+        cart: { items: [{ price: 10, quantity: 2 }], taxRate: 0.1 },
+        note: ''
+      });
+    });
+
+    it('should write the initial value', () => {
+      glue.computed('fullName', () => `${glue.get('firstName')} ${glue.get('lastName')}`);
+
+      expect(glue.target.fullName).toBe('John Doe');
+    });
+
+    it('should record the keys read through get', () => {
+      glue.computed('fullName', () => `${glue.get('firstName')} ${glue.get('lastName')}`);
+
+      expect(glue.listeners.specific.firstName).toHaveLength(1);
+      expect(glue.listeners.specific.lastName).toHaveLength(1);
+      expect(glue.listeners.specific.note).toBeUndefined();
+    });
+
+    it('should recompute and notify observers when a dependency changes', () => {
+      const callback = vi.fn();
+
+      glue.computed('fullName', () => `${glue.get('firstName')} ${glue.get('lastName')}`);
+      glue.addObserver('fullName', callback);
+
+      glue.set('firstName', 'Jane');
+
+      expect(glue.target.fullName).toBe('Jane Doe');
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Jane Doe' }));
+    });
+
+    it('should not notify when the result is unchanged', () => {
+      const callback = vi.fn();
+
+      glue.computed('hasName', () => glue.get('firstName').length > 0);
+      glue.addObserver('hasName', callback);
+
+      glue.set('firstName', 'Jane');
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should recompute lazily when nothing observes the key', () => {
+      const fn = vi.fn(() => glue.get('firstName').toUpperCase());
+
+      glue.computed('shout', fn);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      glue.set('firstName', 'Jane');
+      glue.set('firstName', 'Jill');
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(glue.get('shout')).toBe('JILL');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(glue.get('shout')).toBe('JILL');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refresh when an ancestor of the key is read', () => {
+      glue.computed('cart.total', () => {
+        return glue.get('cart.items').reduce((sum, item) => sum + item.price * item.quantity, 0);
+      });
+
+      glue.push('cart.items', { price: 5, quantity: 1 });
+
+      expect(glue.get('cart').total).toBe(25);
+    });
+
+    it('should re-subscribe when dependencies change', () => {
+      glue.target.useFirst = true;
+      glue.computed('name', () => glue.get('useFirst') ? glue.get('firstName') : glue.get('lastName'));
+      glue.addObserver('name', () => {});
+
+      expect(glue.listeners.specific.firstName).toHaveLength(1);
+      expect(glue.listeners.specific.lastName).toBeUndefined();
+
+      glue.set('useFirst', false);
+
+      expect(glue.target.name).toBe('Doe');
+      expect(glue.listeners.specific.firstName).toBeUndefined();
+      expect(glue.listeners.specific.lastName).toHaveLength(1);
+    });
+
+    it('should chain computed properties', () => {
+      const callback = vi.fn();
+
+      glue.computed('cart.subtotal', () => {
+        return glue.get('cart.items').reduce((sum, item) => sum + item.price * item.quantity, 0);
+      });
+      glue.computed('cart.total', () => glue.get('cart.subtotal') * (1 + glue.get('cart.taxRate')));
+      glue.addObserver('cart.total', callback);
+
+      glue.set('cart.items[0].quantity', 3);
+
+      expect(glue.target.cart.subtotal).toBe(30);
+      expect(glue.target.cart.total).toBe(33);
+      expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ operation: 'set', value: 33 }));
+    });
+
+    it('should not recompute on its own write when it depends on an ancestor', () => {
+      const fn = vi.fn(() => Object.keys(glue.get('cart')).length);
+
+      glue.computed('cart.size', fn);
+      glue.addObserver('cart.size', () => {});
+
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replace an earlier definition of the same key', () => {
+      glue.computed('label', () => glue.get('firstName'));
+      glue.computed('label', () => glue.get('lastName'));
+
+      expect(glue.target.label).toBe('Doe');
+      expect(glue.listeners.specific.firstName).toBeUndefined();
+    });
+
+    it('should recompute once per batch', () => {
+      const fn = vi.fn(() => `${glue.get('firstName')} ${glue.get('lastName')}`);
+
+      glue.computed('fullName', fn);
+      glue.addObserver('fullName', () => {});
+
+      glue.batch(() => {
+        glue.set('firstName', 'Jane');
+        glue.set('lastName', 'Roe');
+      });
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(glue.target.fullName).toBe('Jane Roe');
+    });
+  });
+
+  describe('proxy API', () => {
+    it('should track reads through the proxy', () => {
+      const data = new Glue({ cart: { items: [{ price: 10 }, { price: 5 }], total: 0, note: '' } });
+      const callback = vi.fn();
+
+      data.computed('cart.total', () => data.cart.items.reduce((sum, item) => sum + item.price, 0));
+      data.addObserver('cart.total', callback);
+
+      expect(data.cart.total).toBe(15);
+
+      data.cart.items.push({ price: 1 });
+      expect(data.cart.total).toBe(16);
+
+      data.cart.items[0].price = 20;
+      expect(data.cart.total).toBe(26);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not depend on objects it only passed through', () => {
+      const data = new Glue({ user: { first: 'Ada', last: 'Lovelace', bio: '' } });
+      const fn = vi.fn(() => `${data.user.first} ${data.user.last}`);
+
+      data.computed('user.full', fn);
+      data.addObserver('user.full', () => {});
+
+      data.user.bio = 'Mathematician';
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(data.listeners.specific.user).toBeUndefined();
+    });
+
+    it('should refresh lazily on proxy reads', () => {
+      const data = new Glue({ count: 1 });
+
+      data.computed('doubled', () => data.count * 2);
+      data.count = 5;
+
+      expect(data.doubled).toBe(10);
+    });
+
+    it('should return the proxy for chaining', () => {
+      const data = new Glue({ a: 1 });
+
+      expect(data.computed('b', () => data.a + 1)).toBe(data);
+    });
+  });
+});
@@ -102,10 +102,23 @@ describe('core operations', () => {
       
       glue.remove('str');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'remove',
         value: undefined
-      });
+      }));
+    });
+
+    it('should notify observers with the removed path', () => {
+      const callback = vi.fn();
+      glue.addObserver('obj.nested', callback);
+      glue.addObserver('obj', callback);
+
+      glue.remove('obj.nested');
+
+      expect(callback.mock.calls.map(([message]) => [message.key, message.path])).toEqual([
+        ['obj.nested', 'obj.nested'],
+        ['obj', 'obj.nested']
+      ]);
     });
   });
 
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('observer cycles', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('re-entrancy limit', () => {
+    it('should throw instead of overflowing the stack for a self-setting observer', () => {
+      const glue = new Glue.Traditional({ count: 0 });
+
+      glue.addObserver('count', () => glue.set('count', glue.get('count') + 1));
+
+      expect(() => glue.set('count', 1)).toThrow(/re-entrancy limit of 100 for "count": count → count/);
+    });
+
+    it('should name the keys of an A → B → A chain', () => {
+      const glue = new Glue.Traditional({ a: 0, b: 0 });
+
+      glue.addObserver('a', () => glue.set('b', glue.get('a') + 1));
+      glue.addObserver('b', () => glue.set('a', glue.get('b') + 1));
+
+      let error;
+      try {
+        glue.set('a', 1);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.name).toBe('GlueCycleError');
+      expect(error.chain).toEqual(['a', 'b', 'a']);
+      expect(error.message).toContain('"a": a → b → a');
+    });
+
+    it('should use the configured limit', () => {
+      const glue = new Glue.Traditional({ count: 0 }, { reentrancyLimit: 5 });
+      let calls = 0;
+
+      glue.addObserver('count', () => {
+        calls++;
+        glue.set('count', glue.get('count') + 1);
+      });
+
+      expect(() => glue.set('count', 1)).toThrow(/limit of 5/);
+      expect(calls).toBe(5);
+    });
+
+    it('should allow recursion that settles under the limit', () => {
+      const glue = new Glue.Traditional({ count: 0 });
+
+      glue.addObserver('count', () => {
+        if (glue.get('count') < 50) glue.set('count', glue.get('count') + 1);
+      });
+
+      glue.set('count', 1);
+
+      expect(glue.target.count).toBe(50);
+    });
+
+    it('should not count sequential notifications as re-entrant', () => {
+      const glue = new Glue.Traditional({ count: 0 }, { reentrancyLimit: 2 });
+      glue.addObserver('count', () => {});
+
+      for (let i = 1; i <= 10; i++) glue.set('count', i);
+
+      expect(glue.target.count).toBe(10);
+    });
+
+    it('should reset after an error', () => {
+      const glue = new Glue.Traditional({ a: 0, b: 0 }, { reentrancyLimit: 3 });
+      const b = vi.fn();
+
+      glue.addObserver('a', () => glue.set('a', glue.get('a') + 1));
+      glue.addObserver('b', b);
+
+      expect(() => glue.set('a', 1)).toThrow();
+
+      glue.set('b', 1);
+      expect(b).toHaveBeenCalledTimes(1);
+    });
+
+    it('should detect cycles through the proxy', () => {
+      const data = new Glue({ celsius: 0, fahrenheit: 32 }, { reentrancyLimit: 10 });
+
+      data.addObserver('celsius', () => { data.fahrenheit = data.celsius * 9 / 5 + 32 + 1; });
+      data.addObserver('fahrenheit', () => { data.celsius = (data.fahrenheit - 32) * 5 / 9; });
+
+      expect(() => { data.celsius = 10; }).toThrow(/celsius → fahrenheit → celsius/);
+    });
+  });
+
+  describe('warnings', () => {
+    it('should warn about cycles that settle when enabled', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const glue = new Glue.Traditional({ a: 0, b: 0 }, { warnOnCycles: true });
+
+      glue.addObserver('a', () => glue.set('b', Math.min(glue.get('a') + 1, 3)));
+      glue.addObserver('b', () => glue.set('a', glue.get('b')));
+
+      glue.set('a', 1);
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/cycled before settling: a → b → a/);
+    });
+
+    it('should stay quiet by default', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const glue = new Glue.Traditional({ a: 0, b: 0 });
+
+      glue.addObserver('a', () => glue.set('b', Math.min(glue.get('a') + 1, 3)));
+      glue.addObserver('b', () => glue.set('a', glue.get('b')));
+
+      glue.set('a', 1);
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should not warn without a cycle', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const glue = new Glue.Traditional({ a: 0, b: 0 }, { warnOnCycles: true });
+
+      glue.addObserver('a', () => glue.set('b', glue.get('a') * 2));
+
+      glue.set('a', 1);
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deferred schedulers', () => {
+    // Runs queued flushes one at a time, the way the browser would.
+    function drain(queue) {
+      while (queue.length) queue.shift()();
+    }
+
+    for (const [scheduler, global] of [['microtask', 'queueMicrotask'], ['animationFrame', 'requestAnimationFrame']]) {
+      describe(scheduler, () => {
+        let queue;
+
+        beforeEach(() => {
+          queue = [];
+          vi.stubGlobal(global, (flush) => queue.push(flush));
+        });
+
+        afterEach(() => {
+          vi.unstubAllGlobals();
+        });
+
+        it('should stop a self-setting observer at the re-entrancy limit', () => {
+          const glue = new Glue.Traditional({ a: 0 }, { scheduler });
+          const observer = vi.fn((message) => glue.set('a', message.value + 1));
+
+          glue.addObserver('a', observer);
+          glue.set('a', 1);
+
+          expect(() => drain(queue)).toThrow(/re-entrancy limit of 100 for "a": a → a/);
+          expect(observer).toHaveBeenCalledTimes(100);
+          expect(queue).toEqual([]);
+        });
+
+        it('should name the keys of an A → B → A chain', () => {
+          const glue = new Glue.Traditional({ a: 0, b: 0 }, { scheduler, reentrancyLimit: 5 });
+
+          glue.addObserver('a', () => glue.set('b', glue.get('a') + 1));
+          glue.addObserver('b', () => glue.set('a', glue.get('b') + 1));
+          glue.set('a', 1);
+
+          expect(() => drain(queue)).toThrow(expect.objectContaining({ name: 'GlueCycleError', chain: ['a', 'b', 'a'] }));
+        });
+
+        it('should not count changes made outside observers', () => {
+          const glue = new Glue.Traditional({ a: 0, b: 0 }, { scheduler, reentrancyLimit: 5 });
+
+          glue.addObserver('a', () => glue.set('b', glue.get('a')));
+
+          for (let i = 1; i <= 20; i++) {
+            glue.set('a', i);
+            drain(queue);
+          }
+
+          expect(glue.get('b')).toBe(20);
+        });
+
+        it('should warn about cycles that settle', () => {
+          const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+          const glue = new Glue.Traditional({ a: 0 }, { scheduler, warnOnCycles: true });
+
+          glue.addObserver('a', (message) => glue.set('a', Math.min(message.value + 1, 3)));
+          glue.set('a', 1);
+          drain(queue);
+
+          expect(glue.get('a')).toBe(3);
+          expect(warn).toHaveBeenCalledTimes(1);
+          expect(warn.mock.calls[0][0]).toMatch(/cycled before settling: a → a/);
+        });
+      });
+    }
+  });
+});
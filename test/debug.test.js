@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('debug recorder', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({ user: { name: 'Ann' }, todos: ['a'] }, { debug: true });
+  });
+
+  it('should be off unless asked for', () => {
+    expect(new Glue.Traditional({}).debug).toBeUndefined();
+    expect(glue.debug).toBeInstanceOf(Glue.Debugger);
+  });
+
+  it('should log each mutation with its old and new values', () => {
+    glue.set('user.name', 'Bea');
+    glue.push('todos', 'b');
+    glue.remove('user.name');
+
+    const [set, push, remove] = glue.debug.log();
+
+    expect(set).toEqual(expect.objectContaining({ id: 1, operation: 'set', path: 'user.name', oldValue: 'Ann', newValue: 'Bea' }));
+    expect(push).toEqual(expect.objectContaining({ operation: 'push', path: 'todos', oldValue: ['a'], newValue: ['a', 'b'] }));
+    expect(push.changes).toEqual([{ action: 'splice', path: 'todos', index: 1, removed: [], added: ['b'] }]);
+    expect(remove).toEqual(expect.objectContaining({ operation: 'remove', oldValue: 'Bea', newValue: undefined }));
+  });
+
+  it('should keep copies of the values', () => {
+    glue.push('todos', 'b');
+    glue.push('todos', 'c');
+
+    expect(glue.debug.log()[0].newValue).toEqual(['a', 'b']);
+  });
+
+  it('should note when and where each mutation was made', () => {
+    const before = Date.now();
+    glue.set('user.name', 'Bea');
+
+    const [entry] = glue.debug.log();
+
+    expect(entry.time).toBeGreaterThanOrEqual(before);
+    expect(entry.site).toContain('debug.test.js');
+  });
+
+  it('should list the observers each mutation notified, with timings', () => {
+    glue.addObserver('user.name', function rename() {});
+    glue.addObserver('user', () => {});
+    glue.addObserver('todos', () => {});
+
+    glue.set('user.name', 'Bea');
+
+    const [entry] = glue.debug.log();
+
+    expect(entry.observers).toHaveLength(2);
+    expect(entry.observers.map((call) => call.key).sort()).toEqual(['user', 'user.name']);
+    expect(entry.observers.find((call) => call.key === 'user.name').callback).toBe('rename');
+    expect(entry.observers.find((call) => call.key === 'user').callback).toBe('(anonymous)');
+    expect(entry.observers[0].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should name scoped and read-only observers after their callbacks', () => {
+    const data = new Glue({ user: { name: 'Ann' } }, { debug: true });
+    data.scope('user').addObserver('name', function scoped() {});
+    data.readonly().addObserver('user.name', function viewed() {});
+
+    data.user.name = 'Bea';
+
+    expect(data.debug.log()[0].observers.map((call) => call.callback).sort()).toEqual(['scoped', 'viewed']);
+  });
+
+  it('should note observers that threw', () => {
+    const error = new Error('boom');
+    const quiet = new Glue.Traditional({ n: 0 }, { debug: true, onError: () => {} });
+    quiet.addObserver('n', () => { throw error; });
+
+    quiet.set('n', 1);
+
+    expect(quiet.debug.log()[0].observers[0].error).toBe(error);
+  });
+
+  it('should tie observers to the mutation that notified them in a batch', () => {
+    glue.addObserver('todos', function todos() {});
+
+    glue.batch(() => {
+      glue.push('todos', 'b');
+      glue.set('user.name', 'Bea');
+    });
+
+    const [push, set] = glue.debug.log();
+
+    expect(push.observers.map((call) => call.callback)).toEqual(['todos']);
+    expect(set.observers).toEqual([]);
+  });
+
+  it('should query by path', () => {
+    glue.set('user.name', 'Bea');
+    glue.set('user', { name: 'Cy' });
+    glue.push('todos', 'b');
+
+    expect(glue.debug.log({ path: 'user.name' }).map((entry) => entry.id)).toEqual([1, 2]);
+    expect(glue.debug.log({ path: 'user' }).map((entry) => entry.id)).toEqual([1, 2]);
+    expect(glue.debug.log({ path: 'todos[0]' }).map((entry) => entry.id)).toEqual([3]);
+  });
+
+  it('should query by time and operation', () => {
+    vi.useFakeTimers();
+
+    try {
+      vi.setSystemTime(1000);
+      glue.set('user.name', 'Bea');
+      vi.setSystemTime(2000);
+      glue.push('todos', 'b');
+      glue.set('user.name', 'Cy');
+
+      expect(glue.debug.log({ since: 2000 })).toHaveLength(2);
+      expect(glue.debug.log({ since: new Date(1500), operation: 'set' })[0].newValue).toBe('Cy');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should mark replayed mutations with their source', () => {
+    const history = new Glue.Traditional({ n: 0 }, { debug: true, history: true });
+
+    history.set('n', 1);
+    history.undo();
+
+    expect(history.debug.log()[1]).toEqual(expect.objectContaining({ operation: 'set', source: 'undo', oldValue: 1, newValue: 0 }));
+  });
+
+  it('should keep only the latest entries', () => {
+    const limited = new Glue.Traditional({ n: 0 }, { debug: { limit: 2 } });
+
+    for (let i = 1; i <= 5; i++) limited.set('n', i);
+
+    expect(limited.debug.log().map((entry) => entry.newValue)).toEqual([4, 5]);
+  });
+
+  it('should dump a readable log', () => {
+    glue.addObserver('user.name', function rename() {});
+    glue.set('user.name', 'Bea');
+    glue.push('todos', 'b');
+
+    const lines = glue.debug.dump().split('\n');
+
+    expect(lines[0]).toMatch(/^#1 \d\d:\d\d:\d\d\.\d{3} set user\.name: "Ann" -> "Bea" at .*debug\.test\.js/);
+    expect(lines[1]).toMatch(/^ {4}user\.name -> rename \(\d+\.\d\dms\)$/);
+    expect(lines[2]).toMatch(/push todos: \["a"\] -> \["a","b"\]/);
+    expect(glue.debug.dump({ path: 'todos' }).split('\n')).toHaveLength(1);
+  });
+
+  it('should clear the log', () => {
+    glue.set('user.name', 'Bea');
+    glue.debug.clear();
+
+    expect(glue.debug.log()).toEqual([]);
+  });
+
+  it('should be reachable through the proxy', () => {
+    const data = new Glue({ n: 0 }, { debug: true });
+
+    data.n = 1;
+
+    expect(data.debug.log()[0]).toEqual(expect.objectContaining({ path: 'n', oldValue: 0, newValue: 1 }));
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+// Stands in for window.__REDUX_DEVTOOLS_EXTENSION__.
+function fakeExtension() {
+  const extension = {
+    options: null,
+    inits: [],
+    sent: [],
+    listener: null,
+    connect(options) {
+      extension.options = options;
+
+      return {
+        init: (state) => extension.inits.push(JSON.parse(JSON.stringify(state))),
+        send: (action, state) => extension.sent.push({ action, state: JSON.parse(JSON.stringify(state)) }),
+        subscribe: (listener) => {
+          extension.listener = listener;
+          return () => { extension.listener = null; };
+        }
+      };
+    },
+    dispatch(payload, state) {
+      extension.listener({ type: 'DISPATCH', payload, state: state && JSON.stringify(state) });
+    }
+  };
+
+  return extension;
+}
+
+describe('Redux DevTools adapter', () => {
+  let extension;
+  let glue;
+
+  beforeEach(() => {
+    extension = fakeExtension();
+    glue = new Glue.Traditional({ todos: [], filter: 'all' }, { history: true });
+    glue.connectDevTools({ connector: extension, name: 'todos' });
+  });
+
+  it('should start the session with the current state', () => {
+    expect(extension.options).toEqual({ name: 'todos' });
+    expect(extension.inits).toEqual([{ todos: [], filter: 'all' }]);
+  });
+
+  it('should send each mutation as an action named after its operation and path', () => {
+    glue.push('todos', { title: 'a' });
+    glue.set('todos[0].title', 'b');
+
+    expect(extension.sent.map((message) => message.action.type)).toEqual(['push todos', 'set todos[0].title']);
+    expect(extension.sent[1]).toEqual({
+      action: { type: 'set todos[0].title', operation: 'set', path: 'todos[0].title' },
+      state: { todos: [{ title: 'b' }], filter: 'all' }
+    });
+  });
+
+  it('should send copies of the state', () => {
+    const states = [];
+    const connector = { connect: () => ({ init() {}, send: (action, state) => states.push(state), subscribe() {} }) };
+    const other = new Glue.Traditional({ todos: [] });
+    other.connectDevTools({ connector });
+
+    other.push('todos', 'a');
+    other.push('todos', 'b');
+
+    expect(states[0]).toEqual({ todos: ['a'] });
+  });
+
+  it('should jump to a state through glue, notifying observers', () => {
+    const callback = vi.fn();
+    glue.addObserver('filter', callback);
+
+    glue.set('filter', 'done');
+    glue.push('todos', 'a');
+    extension.dispatch({ type: 'JUMP_TO_ACTION', actionId: 0 });
+
+    expect(glue.target).toEqual({ todos: [], filter: 'all' });
+    expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ value: 'all', oldValue: 'done' }));
+    expect(extension.sent).toHaveLength(2);
+
+    extension.dispatch({ type: 'JUMP_TO_STATE', index: 1, actionId: 1 });
+    expect(glue.target).toEqual({ todos: [], filter: 'done' });
+  });
+
+  it('should keep jumps out of the undo history', () => {
+    glue.set('filter', 'done');
+    extension.dispatch({ type: 'JUMP_TO_ACTION', actionId: 0 });
+    glue.undo();
+
+    expect(glue.target.filter).toBe('all');
+  });
+
+  it('should keep values JSON cannot carry when jumping', () => {
+    const other = new Glue.Traditional({ when: new Date(0) });
+    other.connectDevTools({ connector: extension });
+
+    other.set('when', new Date(1000));
+    other.set('when', new Date(2000));
+    extension.dispatch({ type: 'JUMP_TO_ACTION', actionId: 1 });
+
+    expect(other.target.when).toEqual(new Date(1000));
+  });
+
+  it('should fall back to the state the tool sends', () => {
+    extension.dispatch({ type: 'JUMP_TO_STATE', actionId: 99 }, { todos: ['x'] });
+
+    expect(glue.target).toEqual({ todos: ['x'] });
+  });
+
+  it('should skip actions by replaying the rest', () => {
+    glue.push('todos', 'a');
+    glue.set('filter', 'done');
+    glue.push('todos', 'b');
+
+    extension.dispatch({ type: 'TOGGLE_ACTION', id: 1 });
+    expect(glue.target).toEqual({ todos: ['b'], filter: 'done' });
+
+    const lifted = extension.sent[extension.sent.length - 1];
+    expect(lifted.action).toBeNull();
+    expect(lifted.state.skippedActionIds).toEqual([1]);
+    expect(lifted.state.computedStates.map((computed) => computed.state.todos)).toEqual([[], [], [], ['b']]);
+
+    extension.dispatch({ type: 'TOGGLE_ACTION', id: 1 });
+    expect(glue.target).toEqual({ todos: ['a', 'b'], filter: 'done' });
+  });
+
+  it('should reset, commit and roll back', () => {
+    glue.set('filter', 'done');
+    extension.dispatch({ type: 'COMMIT' });
+    glue.set('filter', 'open');
+
+    extension.dispatch({ type: 'RESET' });
+    expect(glue.target.filter).toBe('done');
+
+    extension.dispatch({ type: 'ROLLBACK' }, { todos: [], filter: 'all' });
+    expect(glue.target.filter).toBe('all');
+    expect(extension.inits).toHaveLength(4);
+  });
+
+  it('should keep only the latest maxAge actions and states', () => {
+    const other = new Glue.Traditional({ n: 0 });
+    const devtools = other.connectDevTools({ connector: extension, maxAge: 2 });
+
+    for (let n = 1; n <= 4; n++) other.set('n', n);
+
+    expect(extension.options).toEqual({ name: 'Glue', maxAge: 2 });
+    expect(devtools.actions.map((action) => action.id)).toEqual([3, 4]);
+    expect(devtools.states).toEqual([{ n: 2 }, { n: 3 }, { n: 4 }]);
+    expect(devtools.committed).toEqual({ n: 2 });
+
+    extension.dispatch({ type: 'JUMP_TO_ACTION', actionId: 3 });
+    expect(other.target.n).toBe(3);
+
+    extension.dispatch({ type: 'JUMP_TO_ACTION', actionId: 0 });
+    expect(other.target.n).toBe(2);
+
+    extension.dispatch({ type: 'TOGGLE_ACTION', id: 3 });
+    const lifted = extension.sent[extension.sent.length - 1].state;
+    expect(lifted.stagedActionIds).toEqual([0, 3, 4]);
+    expect(lifted.nextActionId).toBe(5);
+    expect(lifted.computedStates.map((computed) => computed.state.n)).toEqual([2, 2, 4]);
+  });
+
+  it('should keep 50 actions by default', () => {
+    const other = new Glue.Traditional({ n: 0 });
+    const devtools = other.connectDevTools({ connector: extension });
+
+    for (let n = 1; n <= 60; n++) other.set('n', n);
+
+    expect(extension.options).toEqual({ name: 'Glue' });
+    expect(devtools.actions).toHaveLength(50);
+    expect(devtools.committed).toEqual({ n: 10 });
+  });
+
+  it('should replace array targets', () => {
+    const list = new Glue.Traditional([1]);
+    list.connectDevTools({ connector: extension });
+
+    list.push(2);
+    extension.dispatch({ type: 'JUMP_TO_ACTION', actionId: 0 });
+
+    expect(list.target).toEqual([1]);
+  });
+
+  it('should stop when disconnected', () => {
+    const other = new Glue.Traditional({ n: 0 });
+    const devtools = other.connectDevTools({ connector: extension });
+
+    devtools.disconnect();
+    other.set('n', 1);
+
+    expect(extension.sent).toEqual([]);
+    expect(extension.listener).toBeNull();
+  });
+
+  it('should do nothing without an extension', () => {
+    expect(glue.connectDevTools()).toBeNull();
+  });
+
+  it('should be reachable from the proxy constructor', () => {
+    const data = new Glue({ n: 0 });
+    const devtools = data.connectDevTools({ connector: extension });
+
+    data.n = 1;
+
+    expect(devtools).toBeInstanceOf(Glue.DevTools);
+    expect(extension.sent[0].action.type).toBe('set n');
+  });
+});
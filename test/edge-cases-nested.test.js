@@ -18,10 +18,10 @@ describe('edge cases - deeply nested structures', () => {
       glue.addObserver('l1.l2.l3.l4.l5.l6.l7.l8.l9.l10', callback);
       glue.set('l1.l2.l3.l4.l5.l6.l7.l8.l9.l10', 'deeper');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 'deeper'
-      });
+      }));
     });
 
     it('should handle setting intermediate nested values', () => {
@@ -50,6 +50,29 @@ describe('edge cases - deeply nested structures', () => {
     });
   });
 
+  describe('fields named like glue members', () => {
+    it('should read nested fields named options, copy or scope as data', () => {
+      const data = new Glue({
+        form: { options: ['a', 'b'], copy: 'draft', scope: 'all', fill: 'red', debug: false },
+        rows: [{ set: 1, remove: 2 }]
+      });
+      const callback = vi.fn();
+      data.addObserver('form.copy', callback);
+
+      expect(data.form.options).toEqual(['a', 'b']);
+      expect(data.form.copy).toBe('draft');
+      expect(data.form.scope).toBe('all');
+      expect(data.form.fill).toBe('red');
+      expect(data.form.debug).toBe(false);
+      expect(data.rows[0].set).toBe(1);
+      expect(data.rows[0].remove).toBe(2);
+
+      data.form.copy = 'final';
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'final' }));
+      expect(typeof data.copy).toBe('function');
+    });
+  });
+
   describe('nested arrays', () => {
     it('should handle arrays within objects', () => {
       glue.target = { data: { items: [1, 2, 3] } };
@@ -58,10 +81,10 @@ describe('edge cases - deeply nested structures', () => {
       glue.addObserver('data.items[1]', callback);
       glue.set('data.items[1]', 99);
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 99
-      });
+      }));
     });
 
     it('should handle objects within arrays', () => {
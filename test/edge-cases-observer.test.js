@@ -76,22 +76,72 @@ describe('edge cases - observer management', () => {
   });
 
   describe('callback exceptions', () => {
-    it('should throw when callback throws', () => {
+    it('should keep calling observers after one throws', () => {
+      const error = new Error('Callback error');
       const badCallback = vi.fn(() => {
-        throw new Error('Callback error');
+        throw error;
       });
       const goodCallback = vi.fn();
-      
+      const onError = vi.fn();
+
+      glue = new Glue({ v1: 'initial' }, { onError });
       glue.addObserver('v1', badCallback);
       glue.addObserver('v1', goodCallback);
-      
-      // The library doesn't catch errors, so it stops at first error
+
       expect(() => {
         glue.set('v1', 'changed');
-      }).toThrow('Callback error');
-      
+      }).not.toThrow();
+
       expect(badCallback).toHaveBeenCalled();
-      // goodCallback won't be called if badCallback throws
+      expect(goodCallback).toHaveBeenCalled();
+      expect(glue.v1).toBe('changed');
+      expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({
+        key: 'v1',
+        path: 'v1',
+        operation: 'set',
+        callback: badCallback
+      }));
+    });
+
+    it('should send errors to Glue.onError without an onError option', () => {
+      const previous = Glue.onError;
+      const onError = vi.fn();
+      Glue.onError = onError;
+
+      try {
+        glue.addObserver('v1', () => { throw new Error('Callback error'); });
+        glue.set('v1', 'changed');
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Callback error' }), expect.objectContaining({ key: 'v1' }));
+        expect(Glue.Traditional.onError).toBe(onError);
+      } finally {
+        Glue.onError = previous;
+      }
+    });
+
+    it('should log errors by default', () => {
+      const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        glue.addObserver('v1', () => { throw new Error('Callback error'); });
+        glue.set('v1', 'changed');
+
+        expect(log).toHaveBeenCalledWith('Glue observer of "v1" threw on set:', expect.objectContaining({ message: 'Callback error' }));
+      } finally {
+        log.mockRestore();
+      }
+    });
+
+    it('should throw when onError rethrows', () => {
+      const goodCallback = vi.fn();
+
+      glue = new Glue({ v1: 'initial' }, { onError: (error) => { throw error; } });
+      glue.addObserver('v1', () => { throw new Error('Callback error'); });
+      glue.addObserver('v1', goodCallback);
+
+      expect(() => {
+        glue.set('v1', 'changed');
+      }).toThrow('Callback error');
       expect(goodCallback).not.toHaveBeenCalled();
     });
   });
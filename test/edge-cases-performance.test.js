@@ -40,6 +40,61 @@ describe('edge cases - performance and memory', () => {
       });
     });
 
+    it('should not walk wildcard observers on unrelated writes', () => {
+      for (const key of ['rows[]', 'rows[].name', 'rows.**']) {
+        const rows = Array.from({ length: 50000 }, (_, i) => ({ id: i, name: `row ${i}` }));
+        const large = new Glue.Traditional({ meta: { title: '' }, rows });
+        const callback = vi.fn();
+        large.addObserver(key, callback);
+
+        const start = performance.now();
+        for (let i = 0; i < 200; i++) large.set('meta.title', `title ${i}`);
+
+        expect(performance.now() - start).toBeLessThan(1000);
+        expect(callback).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should not walk wildcard observers on unrelated writes of objects', () => {
+      for (const key of ['rows[]', 'rows[].name', 'rows.**']) {
+        const rows = Array.from({ length: 50000 }, (_, i) => ({ id: i, name: `row ${i}` }));
+        const large = new Glue.Traditional({ meta: {}, rows });
+        const callback = vi.fn();
+        large.addObserver(key, callback);
+        large.set('meta', {});
+
+        const start = performance.now();
+        for (let i = 0; i < 50; i++) large.set('meta', { title: `title ${i}` });
+
+        expect(performance.now() - start).toBeLessThan(1000);
+        expect(callback).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should walk arrays quickly when every index shifts', () => {
+      const large = new Glue.Traditional({ nums: Array.from({ length: 20000 }, (_, i) => i) });
+      let calls = 0;
+      large.addObserver('nums[]', () => { calls++; });
+
+      const start = performance.now();
+      for (let i = 0; i < 50; i++) large.insert('nums', 0, -1 - i);
+
+      expect(performance.now() - start).toBeLessThan(4000);
+      expect(calls).toBe(50 * 20001 + 49 * 50 / 2);
+    });
+
+    it('should notice objects a write shares with observed paths', () => {
+      const large = new Glue.Traditional({ meta: { title: '' }, rows: [{ name: 'a' }] });
+      const callback = vi.fn();
+      large.addObserver('rows[].title', callback);
+
+      large.set('meta.title', 'first');
+      large.set('rows[1]', large.target.meta);
+      large.set('meta.title', 'second');
+
+      expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ value: 'second', index: 1 }));
+    });
+
     it('should handle many properties', () => {
       const obj = {};
       for (let i = 0; i < 1000; i++) {
@@ -61,11 +116,13 @@ describe('edge cases - performance and memory', () => {
       const obj = { a: 'value' };
       obj.self = obj; // circular reference
       
-      // This will throw with JSON.stringify used in deepClone
-      expect(() => {
-        glue = new Glue(obj);
-        glue.set('a', 'changed');
-      }).toThrow();
+      // Only the mutated subtree is cloned, so the cycle is never visited
+      const callback = vi.fn();
+      glue = new Glue(obj);
+      glue.addObserver('a', callback);
+      glue.set('a', 'changed');
+      
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'changed' }));
     });
 
     it('should handle circular references in nested objects', () => {
@@ -75,10 +132,12 @@ describe('edge cases - performance and memory', () => {
       
       glue.target = { data: parent };
       
-      // This will throw when trying to clone
-      expect(() => {
-        glue.set('data.name', 'changed');
-      }).toThrow();
+      // Ancestors are notified without cloning them
+      const callback = vi.fn();
+      glue.addObserver('data', callback);
+      glue.set('data.name', 'changed');
+      
+      expect(callback).toHaveBeenCalled();
     });
 
     it('should handle self-referencing arrays', () => {
@@ -86,11 +145,14 @@ describe('edge cases - performance and memory', () => {
       arr.push(arr); // self reference
       
       glue.target = { arr };
+      const callback = vi.fn();
+      glue.addObserver('arr', callback);
       
-      // This will throw when trying to clone
-      expect(() => {
-        glue.push('arr', 4);
-      }).toThrow();
+      // Snapshots keep the cycle instead of recursing forever
+      glue.push('arr', 4);
+      
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(glue.target.arr[3]).toBe(arr);
     });
   });
 
@@ -237,11 +299,12 @@ describe('edge cases - performance and memory', () => {
       const callback = vi.fn();
       glue.addObserver('pattern', callback);
       
-      // JSON.stringify converts regex to empty object {}
-      // So two different regexes appear equal after cloning
-      glue.set('pattern', /new/gi);
-      
+      // Regexes are compared by source and flags
+      glue.set('pattern', /test/gi);
       expect(callback).not.toHaveBeenCalled();
+      
+      glue.set('pattern', /new/gi);
+      expect(callback).toHaveBeenCalledTimes(1);
     });
   });
 
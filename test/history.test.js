@@ -0,0 +1,316 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('undo/redo history', () => {
+  describe('traditional API', () => {
+    let glue;
+
+    beforeEach(() => {
+      glue = new Glue.Traditional({
+        user: { name: 'John', phone: '555' },
+        items: [3, 1, 2]
+      }, { history: true });
+    });
+
+    it('should undo and redo a set', () => {
+      glue.set('user.name', 'Jane');
+
+      glue.undo();
+      expect(glue.target.user.name).toBe('John');
+
+      glue.redo();
+      expect(glue.target.user.name).toBe('Jane');
+    });
+
+    it('should remove keys that a set added', () => {
+      glue.set('user.email', 'j@example.com');
+      glue.undo();
+
+      expect('email' in glue.target.user).toBe(false);
+    });
+
+    it('should restore removed keys and array elements', () => {
+      glue.remove('user.phone');
+      glue.remove('items[1]');
+
+      glue.undo();
+      expect(glue.target.items).toEqual([3, 1, 2]);
+
+      glue.undo();
+      expect(glue.target.user.phone).toBe('555');
+    });
+
+    it('should undo every array operation', () => {
+      const original = glue.target.items.slice();
+
+      glue.push('items', 4);
+      glue.pop('items');
+      glue.pop('items');
+      glue.insert('items', 0, 0);
+      glue.filter('items', (n) => n > 1);
+      glue.sortBy('items', (n) => n);
+      glue.swap('items[0]', 'items[1]');
+
+      while (glue.canUndo()) glue.undo();
+
+      expect(glue.target.items).toEqual(original);
+    });
+
+    it('should redo everything it undid', () => {
+      glue.push('items', 4);
+      glue.filter('items', (n) => n % 2 === 0);
+      glue.sortBy('items', (n) => -n);
+
+      const after = glue.target.items.slice();
+
+      while (glue.canUndo()) glue.undo();
+      while (glue.canRedo()) glue.redo();
+
+      expect(glue.target.items).toEqual(after);
+    });
+
+    it('should undo operations on a root array', () => {
+      const list = new Glue.Traditional([2, 3, 1], { history: true });
+
+      list.push(4);
+      list.sortBy((n) => n);
+      list.undo();
+      expect(list.target).toEqual([2, 3, 1, 4]);
+
+      list.undo();
+      expect(list.target).toEqual([2, 3, 1]);
+    });
+
+    it('should report whether undo and redo are possible', () => {
+      expect(glue.canUndo()).toBe(false);
+      expect(glue.canRedo()).toBe(false);
+
+      glue.set('user.name', 'Jane');
+      expect(glue.canUndo()).toBe(true);
+
+      glue.undo();
+      expect(glue.canUndo()).toBe(false);
+      expect(glue.canRedo()).toBe(true);
+    });
+
+    it('should clear the redo stack on a new mutation', () => {
+      glue.set('user.name', 'Jane');
+      glue.undo();
+      glue.set('user.name', 'Jill');
+
+      expect(glue.canRedo()).toBe(false);
+    });
+
+    it('should not record changes that change nothing', () => {
+      glue.set('user.name', 'John');
+      glue.remove('missing');
+
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should notify observers when undoing and redoing', () => {
+      const callback = vi.fn();
+
+      glue.set('user.name', 'Jane');
+      glue.addObserver('user.name', callback);
+
+      glue.undo();
+      expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ operation: 'set', value: 'John' }));
+
+      glue.redo();
+      expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ operation: 'set', value: 'Jane' }));
+    });
+
+    it('should notify array observers with the operation that undoes the change', () => {
+      const callback = vi.fn();
+
+      glue.push('items', 4);
+      glue.addObserver('items', callback);
+
+      glue.undo();
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'pop', value: [3, 1, 2] }));
+
+      glue.redo();
+      expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ operation: 'push', value: [3, 1, 2, 4] }));
+    });
+
+    it('should label steps after their operation', () => {
+      glue.set('user.name', 'Jane');
+      glue.push('items', 4);
+
+      expect(glue.undoLabel()).toBe('push items');
+
+      glue.undo();
+      expect(glue.undoLabel()).toBe('set user.name');
+      expect(glue.redoLabel()).toBe('push items');
+    });
+
+    it('should keep at most maxDepth steps', () => {
+      glue = new Glue.Traditional({ count: 0 }, { history: { maxDepth: 3 } });
+
+      for (let i = 1; i <= 5; i++) glue.set('count', i);
+      while (glue.canUndo()) glue.undo();
+
+      expect(glue.target.count).toBe(2);
+    });
+
+    it('should undo changes made by observers with the change that caused them', () => {
+      glue.set('user.initial', 'J');
+      glue.clearHistory();
+      glue.addObserver('user.name', () => glue.set('user.initial', glue.get('user.name')[0]));
+
+      glue.set('user.name', 'Bob');
+      expect(glue.target.user.initial).toBe('B');
+      expect(glue.undoLabel()).toBe('set user.name');
+
+      glue.undo();
+
+      expect(glue.target.user).toEqual({ name: 'John', phone: '555', initial: 'J' });
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should not record computed values', () => {
+      glue.computed('user.upper', () => glue.get('user.name').toUpperCase());
+      expect(glue.canUndo()).toBe(false);
+
+      glue.addObserver('user.upper', () => {});
+      glue.set('user.name', 'Jane');
+      glue.undo();
+
+      expect(glue.target.user.upper).toBe('JOHN');
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should drop the history on clearHistory', () => {
+      glue.set('user.name', 'Jane');
+      glue.undo();
+      glue.clearHistory();
+
+      expect(glue.canUndo()).toBe(false);
+      expect(glue.canRedo()).toBe(false);
+    });
+
+    it('should do nothing without the history option', () => {
+      const plain = new Glue.Traditional({ v1: 1 });
+
+      plain.set('v1', 2);
+
+      expect(plain.canUndo()).toBe(false);
+      expect(plain.undo()).toBe(plain);
+      expect(plain.target.v1).toBe(2);
+    });
+  });
+
+  describe('transactions', () => {
+    let glue;
+
+    beforeEach(() => {
+      glue = new Glue.Traditional({ form: { name: 'John', email: 'john@example.com' } }, { history: true });
+    });
+
+    it('should undo a transaction as one step', () => {
+      glue.transaction('Reset form', () => {
+        glue.set('form.name', '');
+        glue.set('form.email', '');
+      });
+
+      expect(glue.undoLabel()).toBe('Reset form');
+
+      glue.undo();
+
+      expect(glue.target.form).toEqual({ name: 'John', email: 'john@example.com' });
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should notify once per transaction like a batch', () => {
+      const callback = vi.fn();
+      glue.addObserver('form', callback);
+
+      glue.transaction('Reset form', () => {
+        glue.set('form.name', '');
+        glue.set('form.email', '');
+      });
+      glue.undo();
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fold nested transactions into the outer one', () => {
+      glue.transaction('Outer', () => {
+        glue.set('form.name', 'Jane');
+        glue.transaction('Inner', () => glue.set('form.email', ''));
+      });
+
+      expect(glue.undoLabel()).toBe('Outer');
+
+      glue.undo();
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should name unlabelled transactions after their first operation', () => {
+      glue.transaction(() => glue.set('form.name', 'Jane'));
+
+      expect(glue.undoLabel()).toBe('set form.name');
+    });
+
+    it('should not allow undo inside a transaction', () => {
+      glue.set('form.name', 'Jane');
+
+      expect(() => glue.transaction(() => glue.undo())).toThrow('Cannot undo inside a transaction');
+    });
+  });
+
+  describe('proxy API', () => {
+    let data;
+
+    beforeEach(() => {
+      data = new Glue({ user: { name: 'John' }, items: [3, 1, 2] }, { history: true });
+    });
+
+    it('should undo assignments and deletes', () => {
+      data.user.name = 'Jane';
+      delete data.user.name;
+
+      data.undo();
+      expect(data.user.name).toBe('Jane');
+
+      data.undo();
+      expect(data.user.name).toBe('John');
+    });
+
+    it('should undo array methods', () => {
+      data.items.push(4, 5);
+      data.items.shift();
+      data.items.unshift(0);
+      data.items.splice(1, 2, 'a');
+      data.items.sort();
+      data.items.reverse();
+      data.items[0] = 'first';
+      data.items.length = 1;
+
+      while (data.canUndo()) data.undo();
+
+      expect(data.target.items).toEqual([3, 1, 2]);
+    });
+
+    it('should return the removed elements from splice', () => {
+      expect(data.items.splice(1)).toEqual([1, 2]);
+      expect(data.target.items).toEqual([3]);
+    });
+
+    it('should undo writes past the end of an array', () => {
+      data.items[5] = 'x';
+      data.undo();
+
+      expect(data.target.items).toEqual([3, 1, 2]);
+    });
+
+    it('should return the proxy for chaining', () => {
+      data.user.name = 'Jane';
+
+      expect(data.undo()).toBe(data);
+      expect(data.redo()).toBe(data);
+      expect(data.transaction(() => {})).toBe(data);
+    });
+  });
+});
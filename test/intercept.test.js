@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('intercept', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({
+      volume: 5,
+      user: { name: 'Ann' },
+      tags: ['a', 'b'],
+      records: [{ id: 1, locked: true, title: 'x' }, { id: 2, locked: false, title: 'y' }]
+    });
+  });
+
+  it('should show each write before it happens', () => {
+    const seen = [];
+    glue.intercept('volume', (change) => {
+      seen.push([change, glue.target.volume]);
+    });
+
+    glue.set('volume', 7);
+
+    expect(seen).toEqual([[{ operation: 'set', path: 'volume', newValue: 7, oldValue: 5 }, 5]]);
+    expect(glue.target.volume).toBe(7);
+  });
+
+  it('should write the value an interceptor returns', () => {
+    const callback = vi.fn();
+    glue.intercept('volume', ({ newValue }) => Math.min(Math.max(newValue, 0), 10));
+    glue.addObserver('volume', callback);
+
+    glue.set('volume', 42);
+
+    expect(glue.target.volume).toBe(10);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 10, oldValue: 5 }));
+  });
+
+  it('should chain interceptors in the order they were added', () => {
+    glue.intercept('user.name', ({ newValue }) => newValue.trim());
+    glue.intercept('user', ({ newValue }) => (typeof newValue === 'string' ? newValue.toUpperCase() : undefined));
+
+    glue.set('user.name', '  bea ');
+
+    expect(glue.target.user.name).toBe('BEA');
+  });
+
+  it('should cancel mutations without notifying', () => {
+    const callback = vi.fn();
+    glue.intercept('user', () => Glue.Traditional.CANCEL);
+    glue.addObserver('*', callback);
+
+    glue.set('user.name', 'Bea');
+    glue.remove('user.name');
+
+    expect(glue.target.user).toEqual({ name: 'Ann' });
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should block edits to locked records', () => {
+    glue.intercept('records[:index]', ({ params }) => (glue.target.records[params.index].locked ? Glue.Traditional.CANCEL : undefined));
+
+    glue.set('records[0].title', 'changed');
+    glue.set('records[1].title', 'changed');
+    glue.remove('records[0]');
+
+    expect(glue.target.records.map((record) => record.title)).toEqual(['x', 'changed']);
+  });
+
+  it('should show array operations as element writes', () => {
+    const seen = [];
+    glue.intercept('tags[]', ({ operation, path, newValue, oldValue }) => {
+      seen.push([operation, path, newValue, oldValue]);
+    });
+
+    glue.push('tags', 'c');
+    glue.splice('tags', 0, 2, 'z');
+    glue.pop('tags');
+
+    expect(seen).toEqual([
+      ['push', 'tags[2]', 'c', undefined],
+      ['splice', 'tags[0]', 'z', 'a'],
+      ['splice', 'tags[1]', undefined, 'b'],
+      ['pop', 'tags[1]', undefined, 'c']
+    ]);
+  });
+
+  it('should transform inserted elements', () => {
+    glue.intercept('tags[]', ({ newValue }) => (typeof newValue === 'string' ? newValue.toLowerCase() : undefined));
+
+    glue.push('tags', 'C');
+    glue.unshift('tags', 'X', 'Y');
+
+    expect(glue.target.tags).toEqual(['x', 'y', 'a', 'b', 'c']);
+  });
+
+  it('should not run again for elements a reorder only moves', () => {
+    const list = new Glue.Traditional({ nums: [7, 2, 3, 4], other: [] });
+    const seen = [];
+    list.intercept('nums[]', ({ path, newValue, oldValue }) => {
+      seen.push([path, newValue, oldValue]);
+      return typeof newValue === 'number' ? newValue * 10 : undefined;
+    });
+
+    list.reverse('nums');
+    list.sortBy('nums', (n) => n);
+    list.move('nums[0]', 'nums[3]');
+    expect(list.target.nums).toEqual([3, 4, 7, 2]);
+    expect(seen).toEqual([]);
+
+    list.fill('nums', 4, 1);
+    expect(list.target.nums).toEqual([3, 4, 40, 40]);
+    expect(seen).toEqual([['nums[2]', 4, 7], ['nums[3]', 4, 2]]);
+  });
+
+  it('should show elements moved in from another array', () => {
+    const seen = [];
+    glue.target.more = ['c'];
+    glue.intercept('tags[]', ({ path, newValue, oldValue }) => {
+      seen.push([path, newValue, oldValue]);
+    });
+
+    glue.move('more[0]', 'tags[1]');
+    glue.move('tags[0]', 'more[0]');
+
+    expect(seen).toEqual([['tags[1]', 'c', undefined], ['tags[0]', undefined, 'a']]);
+  });
+
+  it('should cancel a whole operation when any part of it is cancelled', () => {
+    glue.intercept('user', () => Glue.Traditional.CANCEL);
+
+    glue.move('tags[0]', 'user.tag');
+
+    expect(glue.target.tags).toEqual(['a', 'b']);
+    expect(glue.target.user).toEqual({ name: 'Ann' });
+  });
+
+  it('should only run for the operations it filters', () => {
+    const interceptor = vi.fn();
+    glue.intercept('tags:push', interceptor);
+
+    glue.pop('tags');
+    glue.push('tags', 'c');
+
+    expect(interceptor).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not run for undo and redo', () => {
+    const history = new Glue.Traditional({ volume: 1 }, { history: true });
+    const interceptor = vi.fn();
+
+    history.set('volume', 2);
+    history.intercept('volume', interceptor);
+    history.undo();
+    history.redo();
+
+    expect(interceptor).not.toHaveBeenCalled();
+    expect(history.target.volume).toBe(2);
+  });
+
+  it('should not record cancelled operations', () => {
+    const history = new Glue.Traditional({ volume: 1 }, { history: true });
+    history.intercept(() => Glue.Traditional.CANCEL);
+
+    history.set('volume', 2);
+
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should see writes to an ancestor of its key', () => {
+    const seen = [];
+    glue.intercept('user.name', (change) => {
+      seen.push(change);
+      return change.newValue.trim();
+    });
+    const user = { name: ' Bea ', age: 3 };
+
+    glue.set('user', user);
+
+    expect(seen).toEqual([{ operation: 'set', path: 'user.name', newValue: ' Bea ', oldValue: 'Ann' }]);
+    expect(glue.target.user).toEqual({ name: 'Bea', age: 3 });
+    expect(user.name).toBe(' Bea ');
+  });
+
+  it('should see each place its key matches inside a replaced value', () => {
+    glue.intercept('records[:index].title', ({ params, newValue }) => `${params.index}:${newValue}`);
+
+    glue.set('records', [{ title: 'p' }, { title: 'q' }]);
+    glue.push('records', { title: 'r' });
+
+    expect(glue.target.records.map((record) => record.title)).toEqual(['0:p', '1:q', '2:r']);
+  });
+
+  it('should cancel ancestor writes that would change or remove its key', () => {
+    glue.intercept('user.name', () => Glue.Traditional.CANCEL);
+
+    glue.set('user', { name: 'Bea' });
+    glue.remove('user');
+    glue.set('user', { name: 'Ann', age: 3 });
+
+    expect(glue.target.user).toEqual({ name: 'Ann' });
+  });
+
+  it('should stop running once removed', () => {
+    const interceptor = vi.fn(() => 0);
+    glue.intercept('volume', interceptor);
+    glue.removeInterceptor(interceptor);
+
+    glue.set('volume', 9);
+
+    expect(interceptor).not.toHaveBeenCalled();
+    expect(glue.target.volume).toBe(9);
+  });
+
+  describe('proxy API', () => {
+    it('should intercept assignments, deletes and array methods', () => {
+      const data = new Glue({ user: { name: 'Ann' }, tags: [] });
+      const operations = [];
+
+      data
+        .intercept('user.name', ({ newValue }) => (newValue === undefined ? Glue.CANCEL : newValue.trim()))
+        .intercept('tags', ({ operation, newValue }) => {
+          operations.push(operation);
+          return newValue === 'bad' ? Glue.CANCEL : undefined;
+        });
+
+      data.user.name = '  Bea  ';
+      delete data.user.name;
+      data.tags.push('ok');
+      data.tags.push('bad');
+      data.tags[1] = 'bad';
+
+      expect(data.target).toEqual({ user: { name: 'Bea' }, tags: ['ok'] });
+      expect(operations).toEqual(['push', 'push', 'set']);
+    });
+
+    it('should not run again for elements sort and reverse only move', () => {
+      const data = new Glue({ list: [7, 2, 3, 4] });
+      data.intercept('list[]', ({ newValue }) => newValue * 10);
+
+      data.list.sort();
+      data.list.reverse();
+
+      expect(data.target.list).toEqual([7, 4, 3, 2]);
+    });
+  });
+});
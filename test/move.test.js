@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('move, rename and copy', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({
+      todo: ['a', 'b', 'c'],
+      done: ['x'],
+      user: { firstName: 'Ann', address: { city: 'Paris' } }
+    });
+  });
+
+  describe('move', () => {
+    it('should reorder within an array, naming the final index', () => {
+      glue.move('todo[0]', 'todo[2]');
+
+      expect(glue.target.todo).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should move elements between arrays', () => {
+      glue.move('todo[1]', 'done[0]');
+
+      expect(glue.target.todo).toEqual(['a', 'c']);
+      expect(glue.target.done).toEqual(['b', 'x']);
+    });
+
+    it('should move between object keys and arrays', () => {
+      glue.move('user.address', 'todo[3]');
+
+      expect(glue.target.user).toEqual({ firstName: 'Ann' });
+      expect(glue.target.todo[3]).toEqual({ city: 'Paris' });
+    });
+
+    it('should notify source and destination once each, after the move', () => {
+      const seen = [];
+
+      glue.addObserver('todo', (m) => seen.push(['todo', m.operation, glue.target.done.length]));
+      glue.addObserver('done', (m) => seen.push(['done', m.operation, glue.target.todo.length]));
+
+      glue.move('todo[0]', 'done[1]');
+
+      expect(seen).toEqual([
+        ['todo', 'move', 2],
+        ['done', 'move', 2]
+      ]);
+    });
+
+    it('should notify a shared ancestor once', () => {
+      const callback = vi.fn();
+      glue.addObserver('*', callback);
+
+      glue.move('todo[0]', 'done[0]');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only be seen by move filters', () => {
+      const move = vi.fn();
+      const remove = vi.fn();
+
+      glue.addObserver('todo:move', move);
+      glue.addObserver('todo:remove,insert', remove);
+
+      glue.move('todo[2]', 'todo[0]');
+
+      expect(move).toHaveBeenCalledWith(expect.objectContaining({ operation: 'move', value: ['c', 'a', 'b'] }));
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should report one splice per side', () => {
+      const callback = vi.fn();
+      glue.addObserver('todo[]', callback, { splices: true });
+
+      glue.move('todo[0]', 'todo[2]');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0].splices).toEqual([
+        { index: 0, removed: ['a'], addedCount: 0 },
+        { index: 2, removed: [], addedCount: 1 }
+      ]);
+    });
+
+    it('should do nothing for a missing source or the same key', () => {
+      const callback = vi.fn();
+      glue.addObserver('*', callback);
+
+      glue.move('user.missing', 'user.other');
+      glue.move('todo[0]', 'todo[0]');
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(glue.target.user).not.toHaveProperty('other');
+    });
+
+    it('should refuse to move a value into itself', () => {
+      expect(() => glue.move('user', 'user.address.user')).toThrow('into itself');
+      expect(glue.target.user.firstName).toBe('Ann');
+    });
+
+    it('should refuse destinations without a parent before changing anything', () => {
+      expect(() => glue.move('todo[0]', 'nowhere.x')).toThrow('is not an object or array');
+      expect(glue.target.todo).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should refuse indices past the end of the destination array', () => {
+      expect(() => glue.move('todo[0]', 'done[10]')).toThrow('past the end of "done"');
+      expect(() => glue.move('todo[0]', 'todo[3]')).toThrow('past the end of "todo"');
+      expect(glue.target.todo).toEqual(['a', 'b', 'c']);
+      expect(glue.target.done).toEqual(['x']);
+
+      glue.move('todo[0]', 'done[1]');
+      expect(glue.target.done).toEqual(['x', 'a']);
+    });
+
+    it('should undo as one step', () => {
+      const history = new Glue.Traditional({ todo: ['a', 'b'], done: [] }, { history: true });
+
+      history.move('todo[0]', 'done[0]');
+      expect(history.undoLabel()).toBe('move todo[0]');
+
+      history.undo();
+      expect(history.target).toEqual({ todo: ['a', 'b'], done: [] });
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it('should emit patches a replica can apply', () => {
+      const replica = new Glue.Traditional(JSON.parse(JSON.stringify(glue.target)));
+      glue.onPatch((operations) => replica.applyPatch(operations));
+
+      glue.move('todo[0]', 'todo[2]');
+      glue.move('todo[1]', 'done[0]');
+      glue.rename('user.firstName', 'user.name');
+      glue.copy('user.address', 'done[1]');
+
+      expect(replica.target).toEqual(glue.target);
+    });
+  });
+
+  describe('rename', () => {
+    it('should move a value to another key of the same object', () => {
+      glue.rename('user.firstName', 'user.name');
+
+      expect(glue.target.user).toEqual({ name: 'Ann', address: { city: 'Paris' } });
+    });
+
+    it('should notify both keys with rename', () => {
+      const oldKey = vi.fn();
+      const newKey = vi.fn();
+
+      glue.addObserver('user.firstName', oldKey);
+      glue.addObserver('user.name', newKey);
+
+      glue.rename('user.firstName', 'user.name');
+
+      expect(oldKey).toHaveBeenCalledWith(expect.objectContaining({ operation: 'rename', value: undefined, oldValue: 'Ann' }));
+      expect(newKey).toHaveBeenCalledWith(expect.objectContaining({ operation: 'rename', value: 'Ann', oldValue: undefined }));
+    });
+
+    it('should rename top-level keys', () => {
+      glue.rename('done', 'finished');
+
+      expect(glue.target.finished).toEqual(['x']);
+      expect(glue.target).not.toHaveProperty('done');
+    });
+
+    it('should refuse to rename across objects or in arrays', () => {
+      expect(() => glue.rename('user.firstName', 'name')).toThrow('use move instead');
+      expect(() => glue.rename('todo[0]', 'todo[1]')).toThrow('use move instead');
+    });
+  });
+
+  describe('copy', () => {
+    it('should put a deep copy at the destination', () => {
+      glue.copy('user.address', 'user.billing');
+      glue.set('user.billing.city', 'Rome');
+
+      expect(glue.target.user.address.city).toBe('Paris');
+      expect(glue.target.user.billing.city).toBe('Rome');
+    });
+
+    it('should insert into arrays', () => {
+      glue.copy('todo[1]', 'todo[0]');
+
+      expect(glue.target.todo).toEqual(['b', 'a', 'b', 'c']);
+    });
+
+    it('should refuse indices past the end of the destination array', () => {
+      expect(() => glue.copy('todo[0]', 'todo[4]')).toThrow('past the end of "todo"');
+      expect(glue.target.todo).toEqual(['a', 'b', 'c']);
+
+      glue.copy('todo[0]', 'todo[3]');
+      expect(glue.target.todo).toEqual(['a', 'b', 'c', 'a']);
+    });
+
+    it('should notify only the destination', () => {
+      const source = vi.fn();
+      const destination = vi.fn();
+
+      glue.addObserver('todo', source);
+      glue.addObserver('done', destination);
+
+      glue.copy('todo[0]', 'done[1]');
+
+      expect(source).not.toHaveBeenCalled();
+      expect(destination).toHaveBeenCalledWith(expect.objectContaining({ operation: 'copy', value: ['x', 'a'] }));
+    });
+  });
+
+  describe('proxy API', () => {
+    it('should return the proxy for chaining', () => {
+      const data = new Glue({ list: [1, 2, 3], meta: { a: 1 } });
+
+      expect(data.move('list[0]', 'list[2]').rename('meta.a', 'meta.b').copy('meta', 'copy')).toBe(data);
+      expect(data.target).toEqual({ list: [2, 3, 1], meta: { b: 1 }, copy: { b: 1 } });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('nested arrays through the proxy', () => {
+  let data;
+
+  beforeEach(() => {
+    data = new Glue({ grid: [[1, 2], [3, 4], [5, 6]], pairs: [['a', 1], ['b', 2]] });
+  });
+
+  it('should notify specific observers of an element assignment', () => {
+    const callback = vi.fn();
+    data.addObserver('grid[2][1]', callback);
+
+    data.grid[2][1] = 60;
+
+    expect(data.target.grid[2]).toEqual([5, 60]);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'set',
+      value: 60,
+      oldValue: 6,
+      path: 'grid[2][1]'
+    }));
+  });
+
+  it('should notify generic observers with the inner index', () => {
+    const callback = vi.fn();
+    data.addObserver('grid[][]', callback);
+
+    data.grid[1][0] = 30;
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 30, index: 0 }));
+  });
+
+  it('should capture both indices', () => {
+    const callback = vi.fn();
+    data.addObserver('grid[:row][:col]', callback);
+
+    data.grid[2][0] = 50;
+
+    expect(callback.mock.calls[0][0].params).toEqual({ row: 2, col: 0 });
+  });
+
+  it('should intercept array methods on inner arrays', () => {
+    const row = vi.fn();
+    data.addObserver('grid[0]', row);
+
+    expect(data.grid[0].push(7)).toBe(3);
+    expect(data.grid[0].pop()).toBe(7);
+    data.grid[0].unshift(0);
+    data.grid[0].splice(1, 1);
+    data.grid[0].reverse();
+
+    expect(data.target.grid[0]).toEqual([2, 0]);
+    expect(row.mock.calls.map(([message]) => message.operation)).toEqual(['push', 'pop', 'unshift', 'splice', 'reverse']);
+  });
+
+  it('should shorten inner arrays through length', () => {
+    const callback = vi.fn();
+    data.addObserver('pairs[1]', callback);
+
+    data.pairs[1].length = 1;
+
+    expect(data.target.pairs[1]).toEqual(['b']);
+    expect(callback).toHaveBeenCalled();
+  });
+
+  it('should not notify other rows', () => {
+    const callback = vi.fn();
+    data.addObserver('grid[0]', callback);
+
+    data.grid[1].push(9);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should go as deep as the arrays do', () => {
+    const cube = new Glue({ cube: [[[0, 0], [0, 0]]] });
+    const callback = vi.fn();
+    cube.addObserver('cube[0][1][0]', callback);
+
+    cube.cube[0][1][0] = 1;
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 1, path: 'cube[0][1][0]' }));
+  });
+
+  it('should proxy objects inside inner arrays', () => {
+    const table = new Glue({ rows: [[{ done: false }]] });
+    const callback = vi.fn();
+    table.addObserver('rows[0][0].done', callback);
+
+    table.rows[0][0].done = true;
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: true, path: 'rows[0][0].done' }));
+  });
+
+  it('should read inner arrays like plain arrays', () => {
+    expect(data.grid.map((row) => row.length)).toEqual([2, 2, 2]);
+    expect(Array.isArray(data.grid[0])).toBe(true);
+    expect([...data.grid[1]]).toEqual([3, 4]);
+    expect(data.pairs.map(([key, value]) => key + value)).toEqual(['a1', 'b2']);
+  });
+
+  it('should undo changes to inner arrays', () => {
+    const history = new Glue({ grid: [[1, 2]] }, { history: true });
+
+    history.grid[0].push(3);
+    history.grid[0][0] = 10;
+    history.undo();
+    history.undo();
+
+    expect(history.target.grid).toEqual([[1, 2]]);
+  });
+});
@@ -15,10 +15,10 @@ describe('notify', () => {
       
       glue.set('v1', 'updated');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 'updated'
-      });
+      }));
     });
 
     it('should not notify if value unchanged', () => {
@@ -36,10 +36,10 @@ describe('notify', () => {
       
       glue.set('v1', 'updated');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: glue.target
-      });
+      }));
     });
 
     it('should notify on nested property change', () => {
@@ -48,10 +48,10 @@ describe('notify', () => {
       
       glue.set('v2.nested', 'updated');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 'updated'
-      });
+      }));
     });
   });
 
@@ -91,10 +91,10 @@ describe('notify', () => {
       
       glue.set('arr[1]', 99);
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 99
-      });
+      }));
     });
 
     it('should notify generic array observer with index', () => {
@@ -103,11 +103,11 @@ describe('notify', () => {
       
       glue.set('arr[1]', 99);
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 99,
         index: 1
-      });
+      }));
     });
 
     it('should notify on array push', () => {
@@ -116,11 +116,11 @@ describe('notify', () => {
       
       glue.push('arr', 4);
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'push',
         value: 4,
         index: 3
-      });
+      }));
     });
 
     it('should notify on array pop', () => {
@@ -129,11 +129,11 @@ describe('notify', () => {
       
       glue.pop('arr');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'pop',
         value: undefined,
         index: 2
-      });
+      }));
     });
 
     it('should notify multiple times on filter', () => {
@@ -215,10 +215,10 @@ describe('notify', () => {
       glue.addObserver('a.b.c.d', callback);
       glue.set('a.b.c.d', 'deeper');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 'deeper'
-      });
+      }));
     });
 
     it('should handle array of objects', () => {
@@ -228,10 +228,10 @@ describe('notify', () => {
       glue.addObserver('items[0].name', callback);
       glue.set('items[0].name', 'updated');
       
-      expect(callback).toHaveBeenCalledWith({
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
         operation: 'set',
         value: 'updated'
-      });
+      }));
     });
 
     it('should handle swap operation', () => {
@@ -245,4 +245,92 @@ describe('notify', () => {
       expect(glue.target.v2.nested).toBe('initial');
     });
   });
-});
\ No newline at end of file
+
+  describe('message properties', () => {
+    it('should report the old value, changed path and matched key', () => {
+      const callback = vi.fn();
+      glue.addObserver('v1, v2.nested', callback);
+      
+      glue.set('v2.nested', 'changed');
+      
+      expect(callback).toHaveBeenCalledWith({
+        operation: 'set',
+        value: 'changed',
+        oldValue: 'value',
+        path: 'v2.nested',
+        key: 'v2.nested'
+      });
+    });
+
+    it('should give ancestors their whole old value', () => {
+      const callback = vi.fn();
+      const before = glue.target.v2;
+      glue.addObserver('v2', callback);
+      
+      glue.set('v2.added', true);
+      
+      const message = callback.mock.calls[0][0];
+      expect(message.oldValue).toEqual({ nested: 'value' });
+      expect(message.value).toBe(before);
+      expect(message.value).toEqual({ nested: 'value', added: true });
+      expect(message.path).toBe('v2.added');
+    });
+
+    it('should report the old value to wildcard observers', () => {
+      const callback = vi.fn();
+      glue.addObserver('*', callback);
+      
+      glue.remove('v1');
+      
+      expect(callback.mock.calls[0][0].oldValue).toEqual({ v1: 'initial', v2: { nested: 'value' }, arr: [1, 2, 3] });
+      expect(callback.mock.calls[0][0].key).toBe('*');
+    });
+
+    it('should report array paths and old elements', () => {
+      const callback = vi.fn();
+      glue.addObserver('arr[]', callback);
+      
+      glue.set('arr[1]', 20);
+      
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        index: 1,
+        oldValue: 2,
+        path: 'arr[1]',
+        key: 'arr[]'
+      }));
+    });
+
+    it('should report the old value from before a batch', () => {
+      const callback = vi.fn();
+      glue.addObserver('v1', callback);
+      
+      glue.batch(() => {
+        glue.set('v1', 'first');
+        glue.set('v1', 'second');
+      });
+      
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'second', oldValue: 'initial' }));
+    });
+
+    it('should reference the proxy as a non-enumerable target', () => {
+      const callback = vi.fn();
+      glue.addObserver('v1', callback);
+      
+      glue.v1 = 'updated';
+      
+      const message = callback.mock.calls[0][0];
+      expect(message.target).toBe(glue);
+      expect(Object.keys(message)).not.toContain('target');
+    });
+
+    it('should reference the instance in the traditional API', () => {
+      const traditional = new Glue.Traditional({ v1: 1 });
+      const callback = vi.fn();
+      traditional.addObserver('v1', callback);
+      
+      traditional.set('v1', 2);
+      
+      expect(callback.mock.calls[0][0].target).toBe(traditional);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('JSON Patch', () => {
+  describe('onPatch', () => {
+    let glue, patches;
+
+    beforeEach(() => {
+      glue = new Glue.Traditional({
+        user: { name: 'John', phone: '555' },
+        items: ['a', 'b']
+      });
+      patches = [];
+      glue.onPatch((operations) => patches.push(operations));
+    });
+
+    it('should describe set as replace or add', () => {
+      glue.set('user.name', 'Jane');
+      glue.set('user.email', 'j@example.com');
+
+      expect(patches).toEqual([
+        [{ op: 'replace', path: '/user/name', value: 'Jane' }],
+        [{ op: 'add', path: '/user/email', value: 'j@example.com' }]
+      ]);
+    });
+
+    it('should describe remove as remove', () => {
+      glue.remove('user.phone');
+      glue.remove('items[0]');
+
+      expect(patches).toEqual([
+        [{ op: 'remove', path: '/user/phone' }],
+        [{ op: 'remove', path: '/items/0' }]
+      ]);
+    });
+
+    it('should describe push and insert as add at an index', () => {
+      glue.push('items', 'c');
+      glue.insert('items', 1, 'x');
+
+      expect(patches).toEqual([
+        [{ op: 'add', path: '/items/2', value: 'c' }],
+        [{ op: 'add', path: '/items/1', value: 'x' }]
+      ]);
+    });
+
+    it('should replace arrays that writes past the end leave holes in', () => {
+      glue.set('items[2]', 'c');
+      glue.set('items[5]', 'f');
+
+      expect(patches).toEqual([
+        [{ op: 'add', path: '/items/2', value: 'c' }],
+        [{ op: 'replace', path: '/items', value: ['a', 'b', 'c', undefined, undefined, 'f'] }]
+      ]);
+
+      const replica = new Glue.Traditional({ items: ['a', 'b', 'c'] });
+      replica.applyPatch(JSON.parse(JSON.stringify(patches[1])));
+
+      expect(replica.target.items).toEqual(['a', 'b', 'c', null, null, 'f']);
+    });
+
+    it('should describe swap as a pair of replaces', () => {
+      glue.swap('items[0]', 'items[1]');
+
+      expect(patches).toEqual([[
+        { op: 'replace', path: '/items/0', value: 'b' },
+        { op: 'replace', path: '/items/1', value: 'a' }
+      ]]);
+    });
+
+    it('should clone values so later mutations do not leak into emitted patches', () => {
+      const address = { city: 'Paris' };
+
+      glue.set('user.address', address);
+      address.city = 'Rome';
+
+      expect(patches[0][0].value).toEqual({ city: 'Paris' });
+    });
+
+    it('should not emit anything for changes that change nothing', () => {
+      glue.set('user.name', 'John');
+
+      expect(patches).toEqual([]);
+    });
+
+    it('should turn keys into JSON Pointers', () => {
+      expect(Glue.pointer('users[0].name')).toBe('/users/0/name');
+      expect(Glue.pointer('user.a~b')).toBe('/user/a~0b');
+      expect(Glue.pointer('')).toBe('');
+    });
+
+    it('should stop emitting after offPatch', () => {
+      glue.offPatch();
+      glue.set('user.name', 'Jane');
+
+      expect(patches).toEqual([]);
+    });
+
+    it('should describe natural syntax through the proxy', () => {
+      const data = new Glue({ todos: [] });
+      const callback = vi.fn();
+
+      data.onPatch(callback);
+      data.todos.push({ title: 'Write docs' });
+      data.todos[0].done = true;
+
+      expect(callback).toHaveBeenNthCalledWith(1, [{ op: 'add', path: '/todos/0', value: { title: 'Write docs' } }]);
+      expect(callback).toHaveBeenNthCalledWith(2, [{ op: 'add', path: '/todos/0/done', value: true }]);
+    });
+  });
+
+  describe('applyPatch', () => {
+    let glue;
+
+    beforeEach(() => {
+      glue = new Glue.Traditional({
+        user: { name: 'John', tags: ['a', 'b'] },
+        items: [1, 2, 3]
+      });
+    });
+
+    it('should apply every operation', () => {
+      glue.applyPatch([
+        { op: 'replace', path: '/user/name', value: 'Jane' },
+        { op: 'add', path: '/user/email', value: 'j@example.com' },
+        { op: 'add', path: '/items/-', value: 4 },
+        { op: 'add', path: '/items/0', value: 0 },
+        { op: 'remove', path: '/user/tags/0' },
+        { op: 'copy', from: '/user/tags', path: '/tags' },
+        { op: 'move', from: '/user/email', path: '/email' },
+        { op: 'test', path: '/email', value: 'j@example.com' }
+      ]);
+
+      expect(glue.target).toEqual({
+        user: { name: 'Jane', tags: ['b'] },
+        items: [0, 1, 2, 3, 4],
+        tags: ['b'],
+        email: 'j@example.com'
+      });
+    });
+
+    it('should notify observers once, like a batch', () => {
+      const user = vi.fn();
+      const items = vi.fn();
+
+      glue.addObserver('user', user);
+      glue.addObserver('items:push', items);
+
+      glue.applyPatch([
+        { op: 'replace', path: '/user/name', value: 'Jane' },
+        { op: 'add', path: '/user/age', value: 30 },
+        { op: 'add', path: '/items/3', value: 4 }
+      ]);
+
+      expect(user).toHaveBeenCalledTimes(1);
+      expect(items).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: [1, 2, 3, 4] }));
+    });
+
+    it('should roll back and throw when an operation fails', () => {
+      const callback = vi.fn();
+      glue.addObserver('*', callback);
+
+      expect(() => glue.applyPatch([
+        { op: 'replace', path: '/user/name', value: 'Jane' },
+        { op: 'test', path: '/items/0', value: 99 }
+      ])).toThrow(/Invalid patch operation 1 \(test\): test failed/);
+
+      expect(glue.target.user.name).toBe('John');
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should reject paths that do not exist', () => {
+      expect(() => glue.applyPatch([{ op: 'remove', path: '/user/missing' }])).toThrow('does not exist');
+      expect(() => glue.applyPatch([{ op: 'add', path: '/nope/x', value: 1 }])).toThrow('does not exist');
+      expect(() => glue.applyPatch([{ op: 'add', path: '/items/9', value: 1 }])).toThrow('out of bounds');
+    });
+
+    it('should name the error and the failing operation', () => {
+      try {
+        glue.applyPatch([{ op: 'frobnicate', path: '/items' }]);
+      } catch (error) {
+        expect(error.name).toBe('GluePatchError');
+        expect(error.index).toBe(0);
+        expect(error.operation).toEqual({ op: 'frobnicate', path: '/items' });
+      }
+
+      expect.assertions(3);
+    });
+
+    it('should replace the contents of the root', () => {
+      glue.applyPatch([{ op: 'replace', path: '', value: { fresh: true } }]);
+
+      expect(glue.target).toEqual({ fresh: true });
+    });
+
+    it('should be a single undo step', () => {
+      glue = new Glue.Traditional({ a: 1, b: 2 }, { history: true });
+
+      glue.applyPatch([
+        { op: 'replace', path: '/a', value: 10 },
+        { op: 'remove', path: '/b' }
+      ]);
+
+      expect(glue.undoLabel()).toBe('applyPatch');
+
+      glue.undo();
+
+      expect(glue.target).toEqual({ a: 1, b: 2 });
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should not leave a history step behind when it fails', () => {
+      glue = new Glue.Traditional({ a: 1 }, { history: true });
+
+      expect(() => glue.applyPatch([
+        { op: 'replace', path: '/a', value: 10 },
+        { op: 'remove', path: '/b' }
+      ])).toThrow();
+
+      expect(glue.canUndo()).toBe(false);
+    });
+
+    it('should reproduce emitted patches on another instance', () => {
+      const replica = new Glue.Traditional(JSON.parse(JSON.stringify(glue.target)));
+
+      glue.onPatch((operations) => replica.applyPatch(operations));
+
+      glue.set('user.name', 'Jane');
+      glue.push('user.tags', 'c');
+      glue.remove('items[1]');
+      glue.filter('items', (n) => n > 1);
+      glue.sortBy('user.tags', (t) => t === 'c' ? 0 : 1);
+      glue.swap('user.name', 'user.tags');
+
+      expect(replica.target).toEqual(glue.target);
+    });
+
+    it('should return the proxy for chaining', () => {
+      const data = new Glue({ a: 1 });
+
+      expect(data.applyPatch([{ op: 'replace', path: '/a', value: 2 }])).toBe(data);
+      expect(data.a).toBe(2);
+    });
+  });
+
+  describe('applyMergePatch', () => {
+    let glue;
+
+    beforeEach(() => {
+      glue = new Glue.Traditional({
+        title: 'Goodbye!',
+        author: { givenName: 'John', familyName: 'Doe' },
+        tags: ['example', 'sample'],
+        content: 'This will be unchanged'
+      });
+    });
+
+    it('should merge as described in RFC 7396', () => {
+      glue.applyMergePatch({
+        title: 'Hello!',
+        phoneNumber: '+01-123-456-7890',
+        author: { familyName: null },
+        tags: ['example']
+      });
+
+      expect(glue.target).toEqual({
+        title: 'Hello!',
+        author: { givenName: 'John' },
+        tags: ['example'],
+        content: 'This will be unchanged',
+        phoneNumber: '+01-123-456-7890'
+      });
+    });
+
+    it('should drop nulls from objects it adds', () => {
+      glue.applyMergePatch({ meta: { a: 1, b: null } });
+
+      expect(glue.target.meta).toEqual({ a: 1 });
+    });
+
+    it('should notify observers of the merged keys', () => {
+      const author = vi.fn();
+      const content = vi.fn();
+
+      glue.addObserver('author', author);
+      glue.addObserver('content', content);
+
+      glue.applyMergePatch({ author: { givenName: 'Jane' } });
+
+      expect(author).toHaveBeenCalledTimes(1);
+      expect(content).not.toHaveBeenCalled();
+    });
+  });
+});
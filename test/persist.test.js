@@ -0,0 +1,310 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Glue from '../lib/glue.js';
+
+const stored = (storage, key = 'glue') => JSON.parse(storage.read(key));
+
+describe('persistence', () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    storage = Glue.storage.memory();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should save the target after changes settle', () => {
+    const glue = new Glue.Traditional({ count: 0 });
+    glue.persist({ storage, debounce: 50 });
+
+    glue.set('count', 1);
+    glue.set('count', 2);
+    vi.advanceTimersByTime(40);
+    glue.set('count', 3);
+    vi.advanceTimersByTime(40);
+    expect(storage.read('glue')).toBeNull();
+
+    vi.advanceTimersByTime(10);
+    expect(stored(storage)).toEqual({ version: 0, data: { count: 3 } });
+  });
+
+  it('should load the stored snapshot on startup', async () => {
+    storage.write('app', JSON.stringify({ version: 0, data: { todos: ['a'], theme: 'dark' } }));
+
+    const glue = new Glue.Traditional({ todos: [], theme: 'light', fresh: true });
+    const persistence = glue.persist({ storage, key: 'app' });
+
+    expect(glue.target).toEqual({ todos: ['a'], theme: 'dark', fresh: true });
+    await expect(persistence.ready).resolves.toBe(persistence);
+  });
+
+  it('should notify observers of loaded state, outside the undo history', () => {
+    storage.write('glue', JSON.stringify({ version: 0, data: { theme: 'dark' } }));
+
+    const glue = new Glue.Traditional({ theme: 'light' }, { history: true });
+    const callback = vi.fn();
+    glue.addObserver('theme', callback);
+
+    glue.persist({ storage });
+    vi.runAllTimers();
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'dark' }));
+    expect(glue.canUndo()).toBe(false);
+    expect(stored(storage).data).toEqual({ theme: 'dark' });
+  });
+
+  it('should replace array targets', () => {
+    storage.write('glue', JSON.stringify({ version: 0, data: [1, 2] }));
+
+    const glue = new Glue.Traditional([9]);
+    glue.persist({ storage });
+
+    expect(glue.target).toEqual([1, 2]);
+  });
+
+  it('should run migrations from the stored version, in order', () => {
+    storage.write('glue', JSON.stringify({ version: 1, data: { name: 'Ann Lee' } }));
+
+    const first = vi.fn();
+    const glue = new Glue.Traditional({ user: null });
+    glue.persist({
+      storage,
+      migrations: [
+        first,
+        (data) => ({ user: { name: data.name } }),
+        (data) => {
+          const [first, last] = data.user.name.split(' ');
+          data.user = { first, last };
+        }
+      ]
+    });
+
+    expect(first).not.toHaveBeenCalled();
+    expect(glue.target.user).toEqual({ first: 'Ann', last: 'Lee' });
+
+    glue.set('user.first', 'Bea');
+    vi.runAllTimers();
+    expect(stored(storage).version).toBe(3);
+  });
+
+  it('should treat snapshots without a version as version 0', () => {
+    storage.write('glue', JSON.stringify({ data: { n: 1 } }));
+
+    const glue = new Glue.Traditional({});
+    glue.persist({ storage, migrations: [(data) => ({ n: data.n + 1 })] });
+
+    expect(glue.target).toEqual({ n: 2 });
+  });
+
+  it('should leave newer snapshots alone and stop saving', async () => {
+    const original = JSON.stringify({ version: 5, data: { n: 1 } });
+    storage.write('glue', original);
+
+    const onError = vi.fn();
+    const glue = new Glue.Traditional({ n: 0 });
+    const persistence = glue.persist({ storage, onError });
+    await persistence.ready;
+
+    glue.set('n', 2);
+    vi.runAllTimers();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'GluePersistError',
+      message: 'The stored snapshot is version 5, newer than 0'
+    }));
+    expect(glue.target.n).toBe(2);
+    expect(storage.read('glue')).toBe(original);
+  });
+
+  it('should leave snapshots a migration fails on alone', () => {
+    storage.write('glue', JSON.stringify({ version: 0, data: {} }));
+
+    const onError = vi.fn();
+    const glue = new Glue.Traditional({ n: 0 });
+    glue.persist({ storage, onError, migrations: [() => { throw new Error('bad data'); }] });
+
+    expect(onError.mock.calls[0][0].message).toBe('Migrating the stored snapshot from version 0 failed: bad data');
+    expect(glue.target).toEqual({ n: 0 });
+  });
+
+  it('should check loaded values against the schema', () => {
+    storage.write('glue', JSON.stringify({ version: 0, data: { name: 5, bogus: true } }));
+
+    const onError = vi.fn();
+    const callback = vi.fn();
+    const glue = new Glue.Traditional({ name: 'Ann' }, {
+      schema: { required: ['name'], additionalProperties: false, properties: { name: { type: 'string' } } }
+    });
+    glue.addObserver('*', callback);
+    glue.persist({ storage, onError });
+
+    glue.set('name', 'Bea');
+    vi.runAllTimers();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ name: 'GlueSchemaError' }));
+    expect(glue.target).toEqual({ name: 'Bea' });
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(stored(storage)).toEqual({ version: 0, data: { name: 5, bogus: true } });
+  });
+
+  it('should coerce and intercept loaded values', () => {
+    storage.write('glue', JSON.stringify({ version: 0, data: { count: '3', title: ' Hi ' } }));
+
+    const glue = new Glue.Traditional({ count: 0, title: '' }, {
+      schema: { properties: { count: { type: 'number', coerce: true } } }
+    });
+    const intercepted = vi.fn(({ newValue }) => newValue.trim());
+    glue.intercept('title', intercepted);
+    glue.persist({ storage });
+
+    expect(glue.target).toEqual({ count: 3, title: 'Hi' });
+    expect(intercepted).toHaveBeenCalledWith(expect.objectContaining({ operation: 'hydrate', newValue: ' Hi ' }));
+  });
+
+  it('should save on demand', async () => {
+    const glue = new Glue.Traditional({ n: 0 });
+    const persistence = glue.persist({ storage });
+
+    glue.set('n', 1);
+    await persistence.flush();
+    expect(stored(storage).data).toEqual({ n: 1 });
+
+    glue.target.n = 5;
+    await persistence.save();
+    expect(stored(storage).data).toEqual({ n: 5 });
+  });
+
+  it('should save what is pending when stopped, then nothing more', async () => {
+    const glue = new Glue.Traditional({ n: 0 });
+    const persistence = glue.persist({ storage });
+
+    glue.set('n', 1);
+    await persistence.stop();
+    glue.set('n', 2);
+    vi.runAllTimers();
+
+    expect(stored(storage).data).toEqual({ n: 1 });
+  });
+
+  it('should clear the stored snapshot', async () => {
+    const glue = new Glue.Traditional({ n: 0 });
+    const persistence = glue.persist({ storage });
+
+    await persistence.save();
+    await persistence.clear();
+
+    expect(storage.read('glue')).toBeNull();
+  });
+
+  it('should wait for asynchronous storage before loading and saving', async () => {
+    const data = { glue: JSON.stringify({ version: 0, data: { n: 7 } }) };
+    const asyncStorage = {
+      read: (key) => Promise.resolve(data[key] || null),
+      write: vi.fn((key, text) => Promise.resolve().then(() => { data[key] = text; })),
+      remove: (key) => Promise.resolve().then(() => { delete data[key]; })
+    };
+
+    const glue = new Glue.Traditional({ n: 0 });
+    const persistence = glue.persist({ storage: asyncStorage });
+
+    glue.set('n', 1);
+    vi.runAllTimers();
+    expect(asyncStorage.write).not.toHaveBeenCalled();
+
+    await persistence.ready;
+    expect(glue.target.n).toBe(7);
+
+    glue.set('n', 8);
+    await persistence.flush();
+    expect(JSON.parse(data.glue).data).toEqual({ n: 8 });
+  });
+
+  it('should report failed saves', async () => {
+    const onError = vi.fn();
+    const failing = { read: () => null, write: () => { throw new Error('disk full'); }, remove: () => {} };
+    const glue = new Glue.Traditional({ n: 0 });
+    const persistence = glue.persist({ storage: failing, onError });
+
+    glue.set('n', 1);
+    await persistence.flush();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'disk full' }));
+  });
+
+  it('should use custom serialization', () => {
+    const glue = new Glue.Traditional({ when: new Date(0) });
+    glue.persist({
+      storage,
+      serialize: (snapshot) => JSON.stringify({ ...snapshot, data: { when: snapshot.data.when.getTime() } }),
+      deserialize: (text) => {
+        const snapshot = JSON.parse(text);
+        return { ...snapshot, data: { when: new Date(snapshot.data.when) } };
+      }
+    });
+
+    glue.set('when', new Date(1000));
+    vi.runAllTimers();
+
+    const reloaded = new Glue.Traditional({ when: null });
+    reloaded.persist({ storage, deserialize: (text) => ({ version: 0, data: { when: new Date(JSON.parse(text).data.when) } }) });
+
+    expect(reloaded.target.when).toEqual(new Date(1000));
+  });
+
+  describe('storage adapters', () => {
+    it('should wrap localStorage-compatible objects', () => {
+      const items = new Map();
+      const local = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+      };
+      const web = Glue.storage.web(local);
+
+      expect(web.read('k')).toBeNull();
+      web.write('k', 'v');
+      expect(local.getItem('k')).toBe('v');
+      web.remove('k');
+      expect(web.read('k')).toBeNull();
+    });
+
+    it('should need a storage object outside the browser', () => {
+      expect(() => Glue.storage.web()).toThrow('needs a storage object');
+    });
+
+    it('should keep one JSON file per key', () => {
+      vi.useRealTimers();
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'glue-persist-'));
+
+      try {
+        const file = Glue.storage.file(path.join(directory, 'state'));
+
+        expect(file.read('app')).toBeNull();
+        file.write('app', '{"version":0,"data":{}}');
+        expect(fs.readFileSync(path.join(directory, 'state', 'app.json'), 'utf8')).toBe('{"version":0,"data":{}}');
+        expect(fs.readdirSync(path.join(directory, 'state'))).toEqual(['app.json']);
+        file.remove('app');
+        file.remove('app');
+        expect(file.read('app')).toBeNull();
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should be reachable from the proxy constructor', () => {
+      const data = new Glue({ n: 1 });
+      const persistence = data.persist({ storage });
+
+      data.n = 2;
+      vi.runAllTimers();
+
+      expect(persistence).toBeInstanceOf(Glue.Persistence);
+      expect(stored(storage).data).toEqual({ n: 2 });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('observer priorities', () => {
+  let glue;
+  let calls;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({ form: { email: 'a@b.c', errors: [] }, items: [1] });
+    calls = [];
+  });
+
+  const record = (name) => () => calls.push(name);
+
+  it('should call higher priorities first, across specific and generic keys', () => {
+    glue.addObserver('form.email', record('render'));
+    glue.addObserver('form.*', record('save'), { priority: 10 });
+    glue.addObserver('form.email', record('validate'), { priority: 100 });
+
+    glue.set('form.email', 'x@y.z');
+
+    expect(calls).toEqual(['validate', 'save', 'render']);
+  });
+
+  it('should call negative priorities after the default', () => {
+    glue.addObserver('form.email', record('last'), { priority: -1 });
+    glue.addObserver('form.email', record('default'));
+
+    glue.set('form.email', 'x@y.z');
+
+    expect(calls).toEqual(['default', 'last']);
+  });
+
+  it('should keep specific before generic, then the order added, within a priority', () => {
+    glue.addObserver('form.*', record('generic'));
+    glue.addObserver('form.email', record('first'));
+    glue.addObserver('form', record('parent'));
+    glue.addObserver('form.email', record('second'));
+
+    glue.set('form.email', 'x@y.z');
+
+    expect(calls).toEqual(['first', 'second', 'parent', 'generic']);
+  });
+
+  it('should keep a generic observer\'s paths in order', () => {
+    glue.addObserver('items[]', (message) => calls.push(message.index));
+    glue.addObserver('items', record('items'), { priority: -1 });
+
+    glue.push('items', 2);
+    glue.unshift('items', 0);
+
+    expect(calls).toEqual([1, 'items', 0, 1, 2, 'items']);
+  });
+
+  it('should order observers of a batch', () => {
+    glue.addObserver('items', record('items'));
+    glue.addObserver('form.email', record('email'), { priority: 1 });
+
+    glue.batch(() => {
+      glue.push('items', 2);
+      glue.set('form.email', 'x@y.z');
+    });
+
+    expect(calls).toEqual(['email', 'items']);
+  });
+
+  it('should let a validator settle its writes before later observers run', () => {
+    glue.addObserver('form.email', () => {
+      glue.set('form.errors', glue.get('form.email').includes('@') ? [] : ['invalid']);
+    }, { priority: 100 });
+    glue.addObserver('form.email', () => calls.push(glue.get('form.errors')));
+
+    glue.set('form.email', 'nope');
+
+    expect(calls).toEqual([['invalid']]);
+  });
+
+  it('should refuse priorities that are not numbers', () => {
+    for (const [priority, shown] of [['high', '"high"'], ['5', '"5"'], [NaN, 'NaN'], [Infinity, 'Infinity'], [null, 'null']]) {
+      expect(() => glue.addObserver('form.email', record('bad'), { priority })).toThrow(`Invalid observer priority: ${shown}, expected a finite number`);
+    }
+
+    glue.set('form.email', 'x@y.z');
+
+    expect(calls).toEqual([]);
+    expect(glue.describeObservers()).toEqual([]);
+  });
+
+  it('should take priorities through scopes', () => {
+    const form = glue.scope('form');
+
+    form.addObserver('email', record('low'));
+    form.addObserver('email', record('high'), { priority: 5 });
+    glue.set('form.email', 'x@y.z');
+
+    expect(calls).toEqual(['high', 'low']);
+    expect(glue.describeObservers()[1]).toEqual(expect.objectContaining({ key: 'form.email', priority: 5 }));
+  });
+});
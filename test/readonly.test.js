@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('read-only views', () => {
+  let data;
+
+  beforeEach(() => {
+    data = new Glue({
+      user: { name: 'Ann', settings: { theme: 'dark', fonts: ['serif'] } },
+      todos: [{ title: 'a', done: false }],
+      when: new Date(0)
+    });
+  });
+
+  describe('readonly()', () => {
+    it('should read like the state it views', () => {
+      const view = data.readonly();
+
+      expect(view.user.name).toBe('Ann');
+      expect(view.todos.map((todo) => todo.title)).toEqual(['a']);
+      expect(Array.isArray(view.todos)).toBe(true);
+      expect(Object.keys(view.user.settings)).toEqual(['theme', 'fonts']);
+      expect(JSON.parse(JSON.stringify(view.user))).toEqual(data.target.user);
+      expect(data.readonly('user.settings').theme).toBe('dark');
+    });
+
+    it('should see later changes', () => {
+      const view = data.readonly('user');
+
+      data.user.name = 'Bea';
+
+      expect(view.name).toBe('Bea');
+    });
+
+    it('should throw a clear error on any write', () => {
+      const view = data.readonly('user.settings');
+      let error;
+
+      try {
+        view.theme = 'light';
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.name).toBe('GlueReadonlyError');
+      expect(error.message).toBe('Cannot set "user.settings.theme": this view is read-only');
+      expect(error.path).toBe('user.settings.theme');
+
+      expect(() => { delete view.theme; }).toThrow('Cannot delete "user.settings.theme"');
+      expect(() => Object.defineProperty(view, 'x', { value: 1 })).toThrow('read-only');
+      expect(() => Object.freeze(view)).toThrow('read-only');
+      expect(() => Object.setPrototypeOf(view, null)).toThrow('read-only');
+      expect(data.target.user.settings).toEqual({ theme: 'dark', fonts: ['serif'] });
+    });
+
+    it('should refuse array mutators', () => {
+      const view = data.readonly();
+
+      for (const method of ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']) {
+        expect(() => view.todos[method]()).toThrow(`Cannot call ${method} on "todos"`);
+      }
+
+      expect(() => { view.todos[0].done = true; }).toThrow('Cannot set "todos[0].done"');
+      expect(() => { view.user.settings.fonts[0] = 'mono'; }).toThrow('Cannot set "user.settings.fonts[0]"');
+      expect(data.target.todos).toEqual([{ title: 'a', done: false }]);
+    });
+
+    it('should refuse glue methods that write', () => {
+      const view = data.readonly();
+
+      expect(() => view.set('user.name', 'Bea')).toThrow('Cannot call set: this view is read-only');
+      expect(view.target).toBeUndefined();
+    });
+
+    it('should read fields named like glue methods below the root from the data', () => {
+      const other = new Glue({ view: { filter: 'active', get: 'all', set: 1, addObserver: null }, list: { push: true } });
+      const view = other.readonly();
+
+      expect(view.view.filter).toBe('active');
+      expect(view.view.get).toBe('all');
+      expect(view.view.set).toBe(1);
+      expect(view.view.addObserver).toBeNull();
+      expect(view.list.push).toBe(true);
+      expect(view.view.readonly).toBeUndefined();
+      expect(other.readonly('view').filter).toBeTypeOf('function');
+    });
+
+    it('should hand out copies of Dates', () => {
+      const view = data.readonly();
+
+      view.when.setTime(1000);
+
+      expect(view.when).toBeInstanceOf(Date);
+      expect(data.target.when.getTime()).toBe(0);
+    });
+
+    it('should read keys relative to the view', () => {
+      const view = data.readonly('user');
+
+      expect(view.get('settings.theme')).toBe('dark');
+      expect(() => { view.get('settings').theme = 'x'; }).toThrow('read-only');
+      expect(view.readonly('settings').fonts[0]).toBe('serif');
+    });
+
+    it('should observe keys relative to the view with read-only messages', () => {
+      const view = data.readonly('user');
+      const callback = vi.fn();
+
+      view.addObserver('settings', callback);
+      data.user.settings.fonts.push('mono');
+
+      const message = callback.mock.calls[0][0];
+
+      expect(message).toEqual(expect.objectContaining({ value: { theme: 'dark', fonts: ['serif', 'mono'] } }));
+      expect(message.target).toBe(view);
+      expect(() => { message.value.theme = 'x'; }).toThrow('read-only');
+      expect(() => { message.target.name = 'x'; }).toThrow('read-only');
+    });
+
+    it('should stop observing through the view', () => {
+      const view = data.readonly('user');
+      const callback = vi.fn();
+
+      view.addObserver('name', callback);
+      view.removeObserver('name');
+      data.user.name = 'Bea';
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should keep feeding computed values', () => {
+      const view = data.readonly();
+      data.computed('count', () => view.todos.length);
+
+      data.todos.push({ title: 'b', done: false });
+
+      expect(data.count).toBe(2);
+    });
+  });
+
+  describe('message values', () => {
+    it('should be live by default', () => {
+      const callback = vi.fn();
+      data.addObserver('user', callback);
+
+      data.user.name = 'Bea';
+
+      expect(callback.mock.calls[0][0].value).toBe(data.target.user);
+    });
+
+    it('should be read-only views with messageValues: readonly', () => {
+      const glue = new Glue.Traditional({ user: { name: 'Ann' } }, { messageValues: 'readonly' });
+      const errors = [];
+
+      glue.addObserver('user', (message) => {
+        try {
+          message.value.name = 'Mallory';
+        } catch (e) {
+          errors.push(e.name);
+        }
+
+        try {
+          message.oldValue.name = 'Mallory';
+        } catch (e) {
+          errors.push(e.name);
+        }
+      });
+
+      glue.set('user.name', 'Bea');
+
+      expect(errors).toEqual(['GlueReadonlyError', 'GlueReadonlyError']);
+      expect(glue.target.user.name).toBe('Bea');
+    });
+
+    it('should be frozen copies with messageValues: frozen', () => {
+      const glue = new Glue.Traditional({ todos: [{ done: false }] }, { messageValues: 'frozen' });
+      let message;
+
+      glue.addObserver('todos[]', (m) => { message = m; }, { splices: true });
+      glue.push('todos', { done: true });
+
+      expect(Object.isFrozen(message.value)).toBe(true);
+      expect(Object.isFrozen(message.value[0])).toBe(true);
+      expect(message.value).not.toBe(glue.target.todos);
+      expect(Object.isFrozen(message.splices[0].removed)).toBe(true);
+      expect(Object.isFrozen(glue.target.todos)).toBe(false);
+    });
+
+    it('should be chosen per observer', () => {
+      const glue = new Glue.Traditional({ user: { name: 'Ann' } });
+      const values = [];
+
+      glue.addObserver('user', (message) => values.push(Object.isFrozen(message.value)), { values: 'frozen' });
+      glue.addObserver('user', (message) => values.push(Object.isFrozen(message.value)));
+      glue.set('user.name', 'Bea');
+
+      expect(values).toEqual([true, false]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('circular and shared references', () => {
+  describe('shared objects', () => {
+    let glue, shared;
+
+    beforeEach(() => {
+      shared = { city: 'Paris' };
+      glue = new Glue.Traditional({ home: shared, work: shared, other: { city: 'Rome' } });
+    });
+
+    it('should notify under every path that reaches the changed object', () => {
+      const home = vi.fn();
+      const work = vi.fn();
+
+      glue.addObserver('home.city', home);
+      glue.addObserver('work.city', work);
+
+      glue.set('home.city', 'Lyon');
+
+      expect(home).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Lyon' }));
+      expect(work).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Lyon' }));
+    });
+
+    it('should notify ancestors of the other paths', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('work', callback);
+      glue.remove('home.city');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'remove', value: {} }));
+    });
+
+    it('should not notify paths that no longer share the object', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('work.city', callback);
+      glue.set('home', { city: 'Lyon' });
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should not notify unrelated paths', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('other.city', callback);
+      glue.set('home.city', 'Lyon');
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should report each matching path to wildcard observers', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('*.city', callback);
+      glue.set('work.city', 'Lyon');
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should find shared objects below deep globs', () => {
+      const callback = vi.fn();
+      const data = new Glue.Traditional({ library: { shelf: { book: shared } }, featured: shared });
+
+      data.addObserver('library.**', callback);
+      data.set('featured.city', 'Lyon');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Lyon' }));
+    });
+
+    it('should notify shared arrays for array operations', () => {
+      const list = [1, 2];
+      const data = new Glue.Traditional({ a: list, b: list });
+      const callback = vi.fn();
+
+      data.addObserver('b', callback);
+      data.push('a', 3);
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: [1, 2, 3] }));
+    });
+
+    it('should notice objects a write starts sharing, until it stops', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('other.city', callback);
+      glue.set('home.city', 'Lyon');
+      glue.set('other', shared);
+      glue.set('home.city', 'Nice');
+      glue.set('other', { city: 'Rome' });
+      glue.set('home.city', 'Metz');
+
+      expect(callback.mock.calls.map(([message]) => message.value)).toEqual(['Lyon', 'Nice', 'Rome']);
+    });
+
+    it('should follow shared elements to the indices a splice moves them to', () => {
+      const picked = { n: 1 };
+      const data = new Glue.Traditional({ items: [{ n: 0 }, picked], pick: picked });
+      const callback = vi.fn();
+
+      data.addObserver('items[].n', callback);
+      data.insert('items', 0, { n: -1 });
+      callback.mockClear();
+      data.set('pick.n', 2);
+
+      expect(callback).toHaveBeenCalledOnce();
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ index: 2, path: 'items[2].n', value: 2 }));
+
+      data.shift('items');
+      callback.mockClear();
+      data.set('pick.n', 3);
+
+      expect(callback).toHaveBeenCalledOnce();
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ index: 1, path: 'items[1].n', value: 3 }));
+    });
+
+    it('should find objects written below deep globs', () => {
+      const callback = vi.fn();
+      const data = new Glue.Traditional({ library: { shelf: {} }, featured: shared });
+
+      data.addObserver('library.**', callback);
+      data.set('library.shelf', { book: shared });
+      callback.mockClear();
+      data.set('featured.city', 'Lyon');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ path: 'library.shelf.book.city', value: 'Lyon' }));
+    });
+
+    it('should notify the other paths in a batch', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('work.city', callback);
+      glue.batch(() => {
+        glue.set('home.city', 'Lyon');
+        glue.set('home.city', 'Nice');
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Nice' }));
+    });
+  });
+
+  describe('cycles', () => {
+    let glue, root;
+
+    beforeEach(() => {
+      root = { name: 'root', children: [] };
+      root.children.push({ name: 'leaf', parent: root });
+      glue = new Glue.Traditional({ tree: root });
+    });
+
+    it('should read through cycles', () => {
+      expect(glue.get('tree.children[0].parent.name')).toBe('root');
+      expect(glue.get('tree.children[0].parent.children[0].name')).toBe('leaf');
+    });
+
+    it('should notify observers of the changed node', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('tree.children[0].name', callback);
+      glue.set('tree.children[0].name', 'renamed');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'renamed' }));
+    });
+
+    it('should notify paths that go around the cycle', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('tree.children[0].parent.name', callback);
+      glue.set('tree.name', 'top');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'top' }));
+    });
+
+    it('should notify ancestors with cyclic values', () => {
+      const callback = vi.fn();
+
+      glue.addObserver('tree', callback);
+      glue.push('tree.children', { name: 'second', parent: root });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0].value).toBe(root);
+    });
+
+    it('should handle doubly linked lists', () => {
+      const a = { value: 'a' };
+      const b = { value: 'b', prev: a };
+      a.next = b;
+
+      const list = new Glue.Traditional({ head: a, tail: b });
+      const callback = vi.fn();
+
+      list.addObserver('tail.prev.value', callback);
+      list.set('head.value', 'A');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'A' }));
+    });
+
+    it('should undo changes inside cycles', () => {
+      const data = new Glue.Traditional({ tree: root }, { history: true });
+
+      data.set('tree.children[0].parent.name', 'top');
+      data.undo();
+
+      expect(root.name).toBe('root');
+    });
+  });
+
+  describe('proxy API', () => {
+    it('should notify aliases of natural assignments', () => {
+      const shared = { done: false };
+      const data = new Glue({ today: [shared], all: [shared] });
+      const callback = vi.fn();
+
+      data.addObserver('all[0].done', callback);
+      data.today[0].done = true;
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: true }));
+    });
+
+    it('should follow cycles', () => {
+      const node = { name: 'a' };
+      node.self = node;
+
+      const data = new Glue({ node });
+      const callback = vi.fn();
+
+      data.addObserver('node.name', callback);
+      data.node.self.self.name = 'b';
+
+      expect(data.node.name).toBe('b');
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'b' }));
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('schedulers', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('sync (default)', () => {
+    it('should notify inside the mutating call', () => {
+      const glue = new Glue.Traditional({ v1: 1 });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should accept "sync" explicitly', () => {
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: 'sync' });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw for unknown scheduler names', () => {
+      expect(() => new Glue.Traditional({}, { scheduler: 'later' })).toThrow('Unknown scheduler: later');
+    });
+  });
+
+  describe('microtask', () => {
+    it('should defer notifications to a microtask', async () => {
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: 'microtask' });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+
+      expect(callback).not.toHaveBeenCalled();
+
+      await Promise.resolve();
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 2 }));
+    });
+
+    it('should dedupe listeners across queued mutations', async () => {
+      const glue = new Glue.Traditional({ v1: 1, list: [] }, { scheduler: 'microtask' });
+      const v1 = vi.fn();
+      const list = vi.fn();
+
+      glue.addObserver('v1', v1);
+      glue.addObserver('list', list);
+
+      glue.set('v1', 2);
+      glue.set('v1', 3);
+      glue.push('list', 'a');
+      glue.push('list', 'b');
+
+      await Promise.resolve();
+
+      expect(v1).toHaveBeenCalledTimes(1);
+      expect(v1).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 3 }));
+      expect(list).toHaveBeenCalledTimes(1);
+      expect(list).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: ['a', 'b'] }));
+    });
+
+    it('should work through the proxy API', async () => {
+      const data = new Glue({ count: 0 }, { scheduler: 'microtask' });
+      const callback = vi.fn();
+
+      data.addObserver('count', callback);
+      data.count = 1;
+      data.count = 2;
+
+      await Promise.resolve();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 2 }));
+    });
+  });
+
+  describe('animationFrame', () => {
+    it('should fall back to a timer without requestAnimationFrame', () => {
+      vi.useFakeTimers();
+
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: 'animationFrame' });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+      glue.set('v1', 3);
+
+      expect(callback).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(16);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 3 }));
+    });
+  });
+
+  describe('custom scheduler', () => {
+    it('should hand the flush callback to the scheduler once per queue', () => {
+      const flushes = [];
+      const glue = new Glue.Traditional({ v1: 1, v2: 1 }, { scheduler: (flush) => flushes.push(flush) });
+      const callback = vi.fn();
+
+      glue.addObserver('*', callback);
+      glue.set('v1', 2);
+      glue.set('v2', 2);
+
+      expect(flushes).toHaveLength(1);
+      expect(callback).not.toHaveBeenCalled();
+
+      flushes[0]();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should support schedulers that flush immediately', () => {
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: (flush) => flush() });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should schedule again for changes made while flushing', () => {
+      const flushes = [];
+      const glue = new Glue.Traditional({ a: 1, b: 1 }, { scheduler: (flush) => flushes.push(flush) });
+      const b = vi.fn();
+
+      glue.addObserver('a', () => glue.set('b', glue.get('a') * 10));
+      glue.addObserver('b', b);
+
+      glue.set('a', 2);
+      flushes[0]();
+
+      expect(b).not.toHaveBeenCalled();
+      expect(flushes).toHaveLength(2);
+
+      flushes[1]();
+
+      expect(b).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 20 }));
+    });
+  });
+
+  describe('flush', () => {
+    it('should drain the queue synchronously', () => {
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: 'microtask' });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+      glue.flush();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should make the scheduled flush a no-op', async () => {
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: 'microtask' });
+      const callback = vi.fn();
+
+      glue.addObserver('v1', callback);
+      glue.set('v1', 2);
+      glue.flush();
+
+      await Promise.resolve();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing when nothing is pending', () => {
+      const glue = new Glue.Traditional({ v1: 1 }, { scheduler: 'microtask' });
+
+      expect(glue.flush()).toBe(glue);
+    });
+
+    it('should return the proxy from the proxy API', () => {
+      const data = new Glue({ v1: 1 }, { scheduler: 'microtask' });
+
+      expect(data.flush()).toBe(data);
+    });
+  });
+
+  describe('with batch', () => {
+    it('should defer the batch result to the scheduler', async () => {
+      const glue = new Glue.Traditional({ v1: 1, v2: 1 }, { scheduler: 'microtask' });
+      const callback = vi.fn();
+
+      glue.addObserver('*', callback);
+      glue.batch(() => {
+        glue.set('v1', 2);
+        glue.set('v2', 2);
+      });
+
+      expect(callback).not.toHaveBeenCalled();
+
+      await Promise.resolve();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+const schema = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0, coerce: true },
+    status: { enum: ['active', 'inactive'] },
+    born: { type: ['date', 'null'], coerce: true },
+    tags: { type: 'array', maxItems: 3, items: { type: 'string' } },
+    scores: { type: 'array', items: { type: 'number', coerce: true } },
+    address: {
+      type: 'object',
+      required: ['city'],
+      properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } }
+    }
+  }
+};
+
+describe('schema', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({ name: 'Ann', age: 30, tags: ['a'], scores: [], address: { city: 'Paris' } }, { schema });
+  });
+
+  it('should let valid writes through', () => {
+    glue.set('name', 'Bea');
+    glue.set('status', 'active');
+    glue.push('tags', 'b');
+    glue.set('address.zip', '75001');
+
+    expect(glue.target).toMatchObject({ name: 'Bea', status: 'active', tags: ['a', 'b'], address: { zip: '75001' } });
+  });
+
+  it('should reject invalid writes with a structured error', () => {
+    let error;
+
+    try {
+      glue.set('age', -1);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.name).toBe('GlueSchemaError');
+    expect(error.message).toBe('Invalid value at "age": must be at least 0');
+    expect(error.path).toBe('age');
+    expect(error.errors).toEqual([{ path: 'age', message: 'must be at least 0' }]);
+    expect(glue.target.age).toBe(30);
+  });
+
+  it('should check types, enums, patterns and lengths', () => {
+    expect(() => glue.set('name', 42)).toThrow('expected string, got number');
+    expect(() => glue.set('name', '')).toThrow('at least 1 characters');
+    expect(() => glue.set('status', 'gone')).toThrow('expected one of active, inactive');
+    expect(() => glue.set('address.zip', 'abc')).toThrow('must match');
+    expect(() => glue.set('age', 1.5)).toThrow('expected integer');
+  });
+
+  it('should check values in full', () => {
+    expect(() => glue.set('address', { zip: '1' })).toThrow(expect.objectContaining({
+      errors: [
+        { path: 'address', message: 'missing required property "city"' },
+        { path: 'address.zip', message: 'must match ^\\d{5}$' }
+      ]
+    }));
+  });
+
+  it('should reject unexpected properties and removing required ones', () => {
+    expect(() => glue.set('nickname', 'A')).toThrow('unexpected property "nickname"');
+    expect(() => glue.remove('name')).toThrow('missing required property "name"');
+    expect(() => glue.remove('address.city')).toThrow('Invalid value at "address"');
+
+    expect(glue.target).not.toHaveProperty('nickname');
+    expect(glue.target.name).toBe('Ann');
+  });
+
+  it('should check array items and lengths', () => {
+    expect(() => glue.push('tags', 1)).toThrow('Invalid value at "tags[1]"');
+    expect(() => glue.unshift('tags', 'x', 'y', 'z')).toThrow('at most 3 items');
+
+    expect(glue.target.tags).toEqual(['a']);
+  });
+
+  it('should not notify, record or emit patches for rejected writes', () => {
+    const history = new Glue.Traditional({ name: 'Ann' }, { schema, history: true });
+    const callback = vi.fn();
+    const patches = vi.fn();
+
+    history.addObserver('*', callback);
+    history.onPatch(patches);
+
+    expect(() => history.set('name', null)).toThrow();
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(patches).not.toHaveBeenCalled();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should undo the whole operation when part of it fails', () => {
+    glue.set('scores', [1, 2, 3]);
+
+    expect(() => glue.move('scores[0]', 'tags[1]')).toThrow('expected string');
+    expect(glue.target.scores).toEqual([1, 2, 3]);
+    expect(glue.target.tags).toEqual(['a']);
+  });
+
+  it('should leave earlier writes in a batch alone', () => {
+    glue.batch(() => {
+      glue.set('name', 'Bea');
+      expect(() => glue.set('age', 'old')).toThrow();
+    });
+
+    expect(glue.target.name).toBe('Bea');
+    expect(glue.target.age).toBe(30);
+  });
+
+  describe('coercion', () => {
+    it('should turn numeric strings into numbers', () => {
+      const callback = vi.fn();
+      glue.addObserver('age', callback);
+
+      glue.set('age', '31');
+
+      expect(glue.target.age).toBe(31);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 31 }));
+      expect(() => glue.set('age', 'abc')).toThrow('expected integer, got string');
+      expect(() => glue.set('age', '')).toThrow('expected integer');
+    });
+
+    it('should turn ISO strings into Dates', () => {
+      glue.set('born', '1990-05-01T00:00:00.000Z');
+
+      expect(glue.target.born).toBeInstanceOf(Date);
+      expect(glue.target.born.toISOString()).toBe('1990-05-01T00:00:00.000Z');
+
+      glue.set('born', null);
+      expect(glue.target.born).toBeNull();
+      expect(() => glue.set('born', 'someday')).toThrow('expected date or null');
+    });
+
+    it('should coerce inside arrays and objects without touching the input', () => {
+      const scores = ['1', '2.5'];
+
+      glue.set('scores', scores);
+      glue.push('scores', '4');
+
+      expect(glue.target.scores).toEqual([1, 2.5, 4]);
+      expect(scores).toEqual(['1', '2.5']);
+    });
+
+    it('should record coerced values for undo and patches', () => {
+      const history = new Glue.Traditional({ name: 'Ann', age: 1 }, { schema, history: true });
+      const patches = vi.fn();
+      history.onPatch(patches);
+
+      history.set('age', '2');
+      history.set('age', '3');
+      history.undo();
+
+      expect(history.target.age).toBe(2);
+      expect(patches.mock.calls[0][0]).toEqual([{ op: 'replace', path: '/age', value: 2 }]);
+    });
+  });
+
+  describe('proxy API', () => {
+    it('should check property assignments and deletes', () => {
+      const data = new Glue({ name: 'Ann', tags: [], address: { city: 'Paris' } }, { schema });
+
+      data.age = '40';
+      expect(data.age).toBe(40);
+
+      expect(() => { data.address.zip = 'x'; }).toThrow('must match');
+      expect(() => { delete data.name; }).toThrow('missing required property "name"');
+      expect(() => { data.tags.push(7); }).toThrow('Invalid value at "tags[0]"');
+
+      expect(data.target).toEqual({ name: 'Ann', age: 40, tags: [], address: { city: 'Paris' } });
+    });
+  });
+});
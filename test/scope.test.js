@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('scope', () => {
+  let glue;
+  let profile;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({
+      account: { profile: { name: 'Ann', emails: ['ann@a.com'], address: { city: 'Paris' } } },
+      lists: [['a', 'b']]
+    });
+    profile = glue.scope('account.profile');
+  });
+
+  it('should read and write keys relative to the scope', () => {
+    profile.set('name', 'Bea').set('address.city', 'Rome').push('emails', 'bea@b.com');
+
+    expect(profile.get('name')).toBe('Bea');
+    expect(profile.get()).toBe(glue.target.account.profile);
+    expect(profile.target).toBe(glue.target.account.profile);
+    expect(glue.target.account.profile).toEqual({ name: 'Bea', emails: ['ann@a.com', 'bea@b.com'], address: { city: 'Rome' } });
+  });
+
+  it('should run array methods relative to the scope', () => {
+    const emails = profile.scope('emails');
+
+    emails.push('c').unshift('first').insert(1, 'second');
+    expect(emails.pop()).toBe('c');
+    expect(emails.shift()).toBe('first');
+    expect(emails.splice(0, 1)).toEqual(['second']);
+    emails.push('z').sortBy((email) => email).filter((email) => email !== 'z');
+
+    expect(glue.target.account.profile.emails).toEqual(['ann@a.com']);
+    expect(profile.remove('address.city')).toBe('Paris');
+  });
+
+  it('should move and copy keys relative to the scope', () => {
+    profile.copy('address', 'billing').rename('name', 'fullName').move('emails[0]', 'primary');
+
+    expect(glue.target.account.profile).toEqual({
+      fullName: 'Ann',
+      emails: [],
+      address: { city: 'Paris' },
+      billing: { city: 'Paris' },
+      primary: 'ann@a.com'
+    });
+  });
+
+  it('should tell its observers about changes made through the parent', () => {
+    const callback = vi.fn();
+    profile.addObserver('address.city', callback);
+
+    glue.set('account.profile.address.city', 'Rome');
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'set',
+      value: 'Rome',
+      oldValue: 'Paris',
+      path: 'address.city',
+      key: 'address.city'
+    }));
+    expect(callback.mock.calls[0][0].target).toBe(profile);
+  });
+
+  it('should tell the parent about changes made through the scope', () => {
+    const callback = vi.fn();
+    glue.addObserver('account.profile.name', callback);
+
+    profile.set('name', 'Bea');
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'Bea', path: 'account.profile.name' }));
+  });
+
+  it('should observe everything in the scope with *', () => {
+    const callback = vi.fn();
+    profile.addObserver(callback);
+
+    glue.set('account.profile.name', 'Bea');
+    glue.set('lists[0][0]', 'z');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].key).toBe('*');
+  });
+
+  it('should support wildcards and operation filters', () => {
+    const callback = vi.fn();
+    profile.addObserver('emails[]:push', callback);
+
+    glue.push('account.profile.emails', 'b');
+    glue.pop('account.profile.emails');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ index: 1, path: 'emails' }));
+  });
+
+  it('should keep working when the subtree is replaced', () => {
+    const callback = vi.fn();
+    profile.addObserver('name', callback);
+
+    glue.set('account', { profile: { name: 'Cy' } });
+    expect(profile.get('name')).toBe('Cy');
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'Cy', path: '' }));
+
+    profile.set('name', 'Di');
+    expect(glue.target.account.profile.name).toBe('Di');
+    expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ value: 'Di', path: 'name' }));
+  });
+
+  it('should stop observing', () => {
+    const callback = vi.fn();
+    profile.addObserver('name', callback);
+    profile.removeObserver('name');
+
+    profile.set('name', 'Bea');
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should nest', () => {
+    const address = profile.scope('address');
+    const callback = vi.fn();
+    address.addObserver('city', callback);
+
+    address.set('city', 'Rome');
+
+    expect(address.path).toBe('account.profile.address');
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'Rome', path: 'city' }));
+  });
+
+  it('should scope into arrays', () => {
+    const row = glue.scope('lists[0]');
+    const callback = vi.fn();
+    row.addObserver('[1]', callback);
+
+    row.set('[1]', 'B');
+    row.push('c');
+
+    expect(glue.target.lists).toEqual([['a', 'B', 'c']]);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: 'B', path: '[1]' }));
+  });
+
+  it('should batch through the parent', () => {
+    const callback = vi.fn();
+    profile.addObserver(callback);
+
+    profile.batch(() => {
+      profile.set('name', 'Bea');
+      profile.set('address.city', 'Rome');
+    });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should define computed values inside the scope', () => {
+    profile.computed('count', () => profile.get('emails').length);
+    profile.push('emails', 'b');
+
+    expect(profile.get('count')).toBe(2);
+  });
+
+  it('should be available through the proxy', () => {
+    const data = new Glue({ settings: { theme: 'dark' } });
+    const settings = data.scope('settings');
+
+    settings.set('theme', 'light');
+
+    expect(data.settings.theme).toBe('light');
+  });
+});
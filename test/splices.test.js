@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('splice records', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({ items: ['a', 'b', 'c'], rows: [{ id: 1 }, { id: 2 }] });
+  });
+
+  it('should only mark listeners that opt in', () => {
+    const callback = () => {};
+
+    glue.addObserver('items[]', callback, { splices: true });
+    glue.addObserver('items[]', callback);
+    glue.addObserver('items', callback, { splices: true });
+
+    expect(glue.listeners.generic['items[]'][0].splices).toBe(true);
+    expect(glue.listeners.generic['items[]'][1].splices).toBeUndefined();
+    expect(glue.listeners.specific.items[0].splices).toBeUndefined();
+  });
+
+  it('should call back once per operation with a splice record', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]', callback, { splices: true });
+
+    glue.insert('items', 0, 'z');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'insert',
+      value: ['z', 'a', 'b', 'c'],
+      splices: [{ index: 0, removed: [], addedCount: 1 }]
+    }));
+  });
+
+  it('should not fire per index for a large insert', () => {
+    const list = new Glue.Traditional({ items: Array.from({ length: 1000 }, (_, i) => i) });
+    const callback = vi.fn();
+    list.addObserver('items[]', callback, { splices: true });
+
+    list.insert('items', 0, -1);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].splices).toEqual([{ index: 0, removed: [], addedCount: 1 }]);
+  });
+
+  it('should describe each array operation', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]', callback, { splices: true });
+
+    glue.push('items', 'd');
+    glue.pop('items');
+    glue.remove('items[1]');
+    glue.set('items[0]', 'A');
+
+    expect(callback.mock.calls.map(([message]) => message.splices)).toEqual([
+      [{ index: 3, removed: [], addedCount: 1 }],
+      [{ index: 3, removed: ['d'], addedCount: 0 }],
+      [{ index: 1, removed: ['b'], addedCount: 0 }],
+      [{ index: 0, removed: ['a'], addedCount: 1 }]
+    ]);
+  });
+
+  it('should list every splice of a filter', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]', callback, { splices: true });
+
+    glue.filter('items', (item) => item === 'b');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].splices).toEqual([
+      { index: 2, removed: ['c'], addedCount: 0 },
+      { index: 0, removed: ['a'], addedCount: 0 }
+    ]);
+  });
+
+  it('should collect the splices of a batch in order', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]', callback, { splices: true });
+
+    glue.batch(() => {
+      glue.push('items', 'd');
+      glue.insert('items', 0, 'z');
+    });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].splices).toEqual([
+      { index: 3, removed: [], addedCount: 1 },
+      { index: 0, removed: [], addedCount: 1 }
+    ]);
+  });
+
+  it('should work out a record when elements change inside', () => {
+    const callback = vi.fn();
+    glue.addObserver('rows[]', callback, { splices: true });
+
+    glue.set('rows[1].id', 20);
+
+    expect(callback.mock.calls[0][0].splices).toEqual([{ index: 1, removed: [{ id: 2 }], addedCount: 1 }]);
+  });
+
+  it('should work out a record when the array is replaced', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]', callback, { splices: true });
+
+    glue.set('items', ['a', 'x', 'y', 'c']);
+
+    expect(callback.mock.calls[0][0].splices).toEqual([{ index: 1, removed: ['b'], addedCount: 2 }]);
+  });
+
+  it('should not call back when nothing in the array changed', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]', callback, { splices: true });
+
+    glue.set('rows[0].id', 10);
+    glue.set('items[0]', 'a');
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should respect operation filters', () => {
+    const callback = vi.fn();
+    glue.addObserver('items[]:push', callback, { splices: true });
+
+    glue.pop('items');
+    glue.push('items', 'd');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0].splices).toEqual([{ index: 2, removed: [], addedCount: 1 }]);
+  });
+
+  it('should report nested arrays with the outer index', () => {
+    const matrix = new Glue.Traditional({ matrix: [[1, 2], [3, 4]] });
+    const callback = vi.fn();
+    matrix.addObserver('matrix[][]', callback, { splices: true });
+
+    matrix.push('matrix[1]', 5);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+      index: 1,
+      value: [3, 4, 5],
+      splices: [{ index: 2, removed: [], addedCount: 1 }]
+    }));
+  });
+
+  it('should describe undo as splices', () => {
+    const history = new Glue.Traditional({ items: ['a', 'b'] }, { history: true });
+    const callback = vi.fn();
+
+    history.push('items', 'c');
+    history.addObserver('items[]', callback, { splices: true });
+    history.undo();
+
+    expect(callback.mock.calls[0][0].splices).toEqual([{ index: 2, removed: ['c'], addedCount: 0 }]);
+  });
+
+  describe('proxy API', () => {
+    it('should describe native array methods', () => {
+      const data = new Glue({ todos: ['a', 'b', 'c'] });
+      const callback = vi.fn();
+      data.addObserver('todos[]', callback, { splices: true });
+
+      data.todos.splice(1, 1, 'x', 'y');
+      data.todos.unshift('first');
+      data.todos[10] = 'far';
+
+      expect(callback.mock.calls.map(([message]) => message.splices)).toEqual([
+        [{ index: 1, removed: ['b'], addedCount: 2 }],
+        [{ index: 0, removed: [], addedCount: 1 }],
+        [{ index: 5, removed: [], addedCount: 6 }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('observer topology', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({ form: { first: 'Ann', last: 'Lee', full: '', valid: true }, rows: [] });
+  });
+
+  describe('describeObservers()', () => {
+    it('should list keys, operation filters, contexts and callback names', () => {
+      const context = { name: 'widget' };
+
+      glue.addObserver('form.first:set', context, function updateFull() {});
+      glue.addObserver('rows[]', () => {}, { splices: true, values: 'frozen' });
+      glue.addObserver(function everything() {});
+
+      expect(glue.describeObservers()).toEqual([
+        { key: 'form.first', operations: ['set'], context, callback: 'updateFull', generic: false, writes: [] },
+        { key: '*', operations: [], context: glue.target, callback: 'everything', generic: false, writes: [] },
+        { key: 'rows[]', operations: [], context: glue.target, callback: '(anonymous)', generic: true, writes: [], splices: true, values: 'frozen' }
+      ]);
+    });
+
+    it('should learn the keys observers write to', () => {
+      glue.addObserver('form.first,form.last', function updateFull() {
+        glue.set('form.full', `${glue.get('form.first')} ${glue.get('form.last')}`);
+      });
+      glue.addObserver('form.full', function validate() {
+        glue.set('form.valid', glue.get('form.full').length > 6);
+      });
+
+      expect(glue.describeObservers()[0].writes).toEqual([]);
+
+      glue.set('form.first', 'Bea');
+      glue.set('form.last', 'X');
+
+      const [first, last, full] = glue.describeObservers();
+
+      expect(first.writes).toEqual(['form.full']);
+      expect(last.writes).toEqual(['form.full']);
+      expect(full).toEqual(expect.objectContaining({ callback: 'validate', writes: ['form.valid'] }));
+    });
+
+    it('should not credit writes made outside callbacks', () => {
+      glue.addObserver('form.first', function noop() {});
+
+      glue.set('form.first', 'Bea');
+      glue.set('form.last', 'X');
+
+      expect(glue.describeObservers()[0].writes).toEqual([]);
+    });
+
+    it('should mark the observers computed properties keep', () => {
+      glue.computed('initials', () => glue.get('form.first')[0] + glue.get('form.last')[0]);
+
+      expect(glue.describeObservers().map((observer) => [observer.key, observer.computed, observer.writes])).toEqual([
+        ['form.first', 'initials', ['initials']],
+        ['form.last', 'initials', ['initials']]
+      ]);
+    });
+
+    it('should name observers added through scopes after their callback', () => {
+      glue.scope('form').addObserver('first', function scoped() {});
+
+      expect(glue.describeObservers()[0]).toEqual(expect.objectContaining({ key: 'form.first', callback: 'scoped' }));
+    });
+  });
+
+  describe('observerGraph()', () => {
+    beforeEach(() => {
+      glue.addObserver('form.first:set', function updateFull() {
+        glue.set('form.full', glue.get('form.first'));
+      });
+      glue.addObserver('form.full', function validate() {});
+      glue.set('form.first', 'Bea');
+    });
+
+    it('should render DOT', () => {
+      expect(glue.observerGraph()).toBe([
+        'digraph observers {',
+        '  rankdir=LR;',
+        '  k0 [label="form.first", shape=box];',
+        '  k1 [label="form.full", shape=box];',
+        '  o0 [label="updateFull", shape=ellipse];',
+        '  o1 [label="validate", shape=ellipse];',
+        '  k0 -> o0 [label="set"];',
+        '  o0 -> k1;',
+        '  k1 -> o1;',
+        '}'
+      ].join('\n'));
+    });
+
+    it('should render Mermaid', () => {
+      expect(glue.observerGraph('mermaid')).toBe([
+        'flowchart LR',
+        '  k0["form.first"]',
+        '  k1["form.full"]',
+        '  o0(["updateFull"])',
+        '  o1(["validate"])',
+        '  k0 -->|"set"| o0',
+        '  o0 --> k1',
+        '  k1 --> o1'
+      ].join('\n'));
+    });
+
+    it('should escape labels', () => {
+      const other = new Glue.Traditional({});
+      other.addObserver('a"b', function quoted() {});
+
+      expect(other.observerGraph()).toContain('k0 [label="a\\"b", shape=box];');
+      expect(other.observerGraph('mermaid')).toContain('k0["a#quot;b"]');
+    });
+
+    it('should draw the keys computed properties write', () => {
+      const other = new Glue.Traditional({ first: 'Ann' });
+      other.computed('upper', () => other.get('first').toUpperCase());
+
+      expect(other.observerGraph('mermaid')).toBe([
+        'flowchart LR',
+        '  k0["first"]',
+        '  k1["upper"]',
+        '  o0(["computed upper"])',
+        '  k0 --> o0',
+        '  o0 --> k1'
+      ].join('\n'));
+    });
+
+    it('should refuse unknown formats', () => {
+      expect(() => glue.observerGraph('svg')).toThrow('Unknown graph format "svg"');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import Glue from '../lib/glue.js';
+
+describe('wildcard and parameterized keys', () => {
+  let glue;
+
+  beforeEach(() => {
+    glue = new Glue.Traditional({
+      users: {
+        ann: { name: 'Ann', email: 'ann@example.com' },
+        bob: { name: 'Bob', email: 'bob@example.com' }
+      },
+      people: [{ name: 'Cy' }, { name: 'Di' }],
+      settings: { theme: { color: 'blue' }, lang: 'en' },
+      matrix: [[1, 2], [3, 4]],
+      orders: [{ lines: [{ qty: 1, sku: 'a' }] }, { lines: [] }]
+    });
+  });
+
+  describe('parsing', () => {
+    it('should keep wildcards as segments', () => {
+      expect(Glue.Traditional.pathSegments('users.*.email')).toEqual(['users', '*', 'email']);
+      expect(Glue.Traditional.pathSegments('settings.**')).toEqual(['settings', '**']);
+      expect(Glue.Traditional.pathSegments('matrix[][]')).toEqual(['matrix', '[]', '[]']);
+      expect(Glue.Traditional.pathSegments('users[:i].name')).toEqual(['users', '[:i]', 'name']);
+      expect(Glue.Traditional.pathSegments('users.:id.email')).toEqual(['users', ':id', 'email']);
+    });
+
+    it('should tell captures from operations', () => {
+      expect(Glue.Traditional.keysAndOperations('users[:i].name:set')).toEqual([['users[:i].name'], ['set']]);
+      expect(Glue.Traditional.keysAndOperations('users.:id:set,remove')).toEqual([['users.:id'], ['set', 'remove']]);
+    });
+
+    it('should store wildcard keys as generic listeners', () => {
+      const callback = () => {};
+
+      glue.addObserver('users.*.email', callback);
+      glue.addObserver('orders[].lines[].qty', callback);
+
+      expect(glue.listeners.generic['users.*.email']).toHaveLength(1);
+      expect(glue.listeners.generic['orders[].lines[].qty']).toHaveLength(1);
+      expect(glue.listeners.specific).toEqual({});
+
+      glue.removeObserver('users.*.email');
+      expect(glue.listeners.generic['users.*.email']).toBeUndefined();
+    });
+  });
+
+  describe('* (any key)', () => {
+    it('should match any key at its position', () => {
+      const callback = vi.fn();
+      glue.addObserver('users.*.email', callback);
+
+      glue.set('users.bob.email', 'robert@example.com');
+      glue.set('users.bob.name', 'Robert');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'robert@example.com' }));
+    });
+
+    it('should fire once per matching path that changed', () => {
+      const callback = vi.fn();
+      glue.addObserver('users.*.email', callback);
+
+      glue.set('users', {
+        ann: { name: 'Ann', email: 'ann@example.com' },
+        bob: { name: 'Bob', email: 'new@example.com' },
+        cy: { name: 'Cy', email: 'cy@example.com' }
+      });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'new@example.com' }));
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'cy@example.com' }));
+    });
+
+    it('should match array indices too', () => {
+      const callback = vi.fn();
+      glue.addObserver('people.*.name', callback);
+
+      glue.set('people[1].name', 'Dee');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Dee' }));
+    });
+  });
+
+  describe('** (any descendant)', () => {
+    it('should fire for changes anywhere below', () => {
+      const callback = vi.fn();
+      glue.addObserver('settings.**', callback);
+
+      glue.set('settings.theme.color', 'red');
+      glue.set('settings.lang', 'fr');
+
+      expect(callback).toHaveBeenNthCalledWith(1, expect.objectContaining({ operation: 'set', value: 'red' }));
+      expect(callback).toHaveBeenNthCalledWith(2, expect.objectContaining({ operation: 'set', value: 'fr' }));
+    });
+
+    it('should not fire for siblings', () => {
+      const callback = vi.fn();
+      glue.addObserver('settings.**', callback);
+
+      glue.set('users.ann.name', 'Anne');
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should fire once per changed path in a batch', () => {
+      const callback = vi.fn();
+      glue.addObserver('settings.**', callback);
+
+      glue.batch(() => {
+        glue.set('settings.lang', 'fr');
+        glue.set('settings.lang', 'de');
+        glue.set('settings.theme.color', 'red');
+      });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('nested generics', () => {
+    it('should report the innermost index for matrix[][]', () => {
+      const callback = vi.fn();
+      glue.addObserver('matrix[][]', callback);
+
+      glue.set('matrix[1][0]', 30);
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 30, index: 0 }));
+    });
+
+    it('should fire for each new cell when a row is added', () => {
+      const callback = vi.fn();
+      glue.addObserver('matrix[][]', callback);
+
+      glue.push('matrix', [5, 6]);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: 5, index: 0 }));
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: 6, index: 1 }));
+    });
+
+    it('should follow generics through objects', () => {
+      const callback = vi.fn();
+      glue.addObserver('orders[].lines[].qty', callback);
+
+      glue.set('orders[0].lines[0].qty', 2);
+      glue.set('orders[0].lines[0].sku', 'b');
+      glue.push('orders[1].lines', { qty: 7, sku: 'c' });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenNthCalledWith(1, expect.objectContaining({ operation: 'set', value: 2, index: 0 }));
+      expect(callback).toHaveBeenNthCalledWith(2, expect.objectContaining({ operation: 'push', value: 7, index: 0 }));
+    });
+  });
+
+  describe('named captures', () => {
+    it('should report captured indices as params', () => {
+      const callback = vi.fn();
+      glue.addObserver('people[:i].name', callback);
+
+      glue.set('people[1].name', 'Dee');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Dee', index: 1, params: { i: 1 } }));
+    });
+
+    it('should report captured keys as params', () => {
+      const callback = vi.fn();
+      glue.addObserver('users.:id.email', callback);
+
+      glue.set('users.ann.email', 'anne@example.com');
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'anne@example.com', params: { id: 'ann' } }));
+    });
+
+    it('should capture several segments', () => {
+      const callback = vi.fn();
+      glue.addObserver('orders[:order].lines[:line].qty', callback);
+
+      glue.set('orders[0].lines[0].qty', 5);
+
+      expect(callback.mock.calls[0][0].params).toEqual({ order: 0, line: 0 });
+    });
+
+    it('should combine with operation filters', () => {
+      const callback = vi.fn();
+      glue.addObserver('people[:i]:push', callback);
+
+      glue.set('people[0].name', 'Cee');
+      glue.push('people', { name: 'Ed' });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'push', value: { name: 'Ed' }, index: 2, params: { i: 2 } }));
+    });
+  });
+
+  describe('proxy API', () => {
+    it('should match natural assignments', () => {
+      const data = new Glue({ users: [{ name: 'Ann' }, { name: 'Bob' }] });
+      const callback = vi.fn();
+
+      data.addObserver('users[:i].name', callback);
+      data.users[1].name = 'Rob';
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', value: 'Rob', index: 1, params: { i: 1 } }));
+    });
+  });
+});